@@ -1,33 +1,106 @@
 import express from "express";
+import multer from "multer";
 import { fileURLToPath } from "node:url";
 import path from "node:path";
 
+import { activityController } from "./lib/controllers/activity.js";
+import { backupController } from "./lib/controllers/backup.js";
+import { browseController } from "./lib/controllers/browse.js";
 import { dashboardController } from "./lib/controllers/dashboard.js";
 import { episodesController } from "./lib/controllers/episodes.js";
+import { importController } from "./lib/controllers/import.js";
+import { ingestController } from "./lib/controllers/ingest.js";
+import { pageController } from "./lib/controllers/page.js";
+import { podcastsController } from "./lib/controllers/podcasts.js";
+import { rollsController } from "./lib/controllers/rolls.js";
 import { sourcesController } from "./lib/controllers/sources.js";
+import { subscriptionsController } from "./lib/controllers/subscriptions.js";
+import { getAdapter } from "./lib/adapters/index.js";
+import { startHealthChecks } from "./lib/health.js";
+import { createIndexes } from "./lib/indexes.js";
+import { micropubUrl } from "./lib/micropub.js";
 import { startSync } from "./lib/sync.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const protectedRouter = express.Router();
 const publicRouter = express.Router();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+// Backups include every episode, so they get a larger limit than OPML files
+const backupUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 },
+});
 
 const defaults = {
   mountPath: "/podrollapi",
   syncInterval: 900_000, // 15 minutes
+  maxSyncBackoff: 21_600_000, // Longest wait between failing syncs (6 hours)
+  syncLockTimeout: 1_800_000, // A sync lock older than this is taken over
+  // Secret for the ingest route, which aggregators or hubs call to trigger
+  // a sync (empty to disable)
+  ingestToken: "",
+  ingestDelay: 10_000, // Debounce of ingest requests before a sync starts
+  healthInterval: 86_400_000, // Source health checks (24 hours, 0 = disabled)
+  healthDormantDays: 90, // Flag podcasts with no episode for this long
   fetchCount: 200, // Items to request from FreshRSS (nb parameter)
   maxEpisodes: 200,
+  maxPages: 10, // Pages of fetchCount items per incremental sync
+  // Episode retention, enforced after each sync (0 = no limit)
+  retention: {
+    maxEpisodes: 0,
+    maxPerPodcast: 0,
+    maxAgeDays: 0,
+  },
+  // Podcasts and episodes left out of sync and public output
+  exclude: {
+    feedUrls: [],
+    categories: [],
+    keywords: [], // Words in podcast or episode titles
+    labels: [], // Aggregator labels (FreshRSS, Miniflux categories)
+  },
+  // Named rolls, each with its own aggregator URLs or a subset of sources
+  // e.g. { tech: { title: "Tech", episodesUrl: "…" }, fr: { categories: ["Français"] } }
+  rolls: {},
   fetchTimeout: 15_000,
+  syncHistorySize: 50, // Sync runs kept in the history log
+  fetchConcurrency: 4, // Parallel feed requests for the feeds backend
+  cacheMaxAge: 60, // Cache-Control max-age of the JSON API, in seconds
+  // Draft a Micropub post for newly starred episodes: "listen", "bookmark"
+  // or "like" (empty to disable). Needs a token with create scope.
+  autoPostStarred: "",
+  micropubToken: "",
+  // Notified after syncs: webhooks get a signed JSON list of new episodes,
+  // WebSub hubs are pinged when the public RSS and OPML files change
+  // e.g. [{ url: "https://…", secret: "…" }] or ["https://…"]
+  webhooks: [],
+  websubHubs: [], // e.g. ["https://pubsubhubbub.appspot.com/"]
+  backend: "freshrss", // Episode source adapter, see lib/adapters
+  opmlTitle: "Podroll",
+  feedTitle: "Podroll",
+  feedDescription: "Recent episodes from the podcasts we listen to",
   // These should be overridden in config
   episodesUrl: "",
   opmlUrl: "",
+  // Aggregator credentials (greader, Miniflux, TT-RSS)
+  username: "",
+  password: "",
+  authToken: "",
 };
 
 export default class PodrollEndpoint {
   name = "Podcast roll endpoint";
 
   constructor(options = {}) {
-    this.options = { ...defaults, ...options };
+    this.options = {
+      ...defaults,
+      ...options,
+      retention: { ...defaults.retention, ...options.retention },
+      exclude: { ...defaults.exclude, ...options.exclude },
+    };
     this.mountPath = this.options.mountPath;
   }
 
@@ -69,12 +142,44 @@ export default class PodrollEndpoint {
     // Clear and re-sync
     protectedRouter.post("/clear-resync", dashboardController.clearResync);
 
+    // OPML file import with preview
+    protectedRouter.post("/import", upload.single("opml"), importController.upload);
+    protectedRouter.get("/import", importController.preview);
+    protectedRouter.post("/import/confirm", importController.confirm);
+    protectedRouter.post("/import/cancel", importController.cancel);
+
+    // Backup and restore of sources, episodes and settings
+    protectedRouter.get("/backup", backupController.download);
+    protectedRouter.post(
+      "/backup",
+      backupUpload.single("backup"),
+      backupController.restore,
+    );
+
+    // Manage podcast subscriptions
+    protectedRouter.get("/subscriptions", subscriptionsController.list);
+    protectedRouter.post("/subscriptions", subscriptionsController.add);
+    protectedRouter.post("/subscriptions/:id", subscriptionsController.update);
+    protectedRouter.post(
+      "/subscriptions/:id/delete",
+      subscriptionsController.remove,
+    );
+
+    // Episode browser
+    protectedRouter.get("/episodes", browseController.list);
+    protectedRouter.get("/episodes/:id", browseController.episode);
+    protectedRouter.post("/episodes/:id/visibility", browseController.visibility);
+
+    // Listening activity
+    protectedRouter.post("/episodes/:id/activity", activityController.update);
+    protectedRouter.post("/episodes/:id/post", activityController.post);
+
     return protectedRouter;
   }
 
   /**
    * Public routes (no authentication required)
-   * Read-only JSON API endpoints for frontend
+   * Read-only JSON API endpoints and feeds for frontend
    */
   get routesPublic() {
     // Episodes API (read-only)
@@ -84,9 +189,42 @@ export default class PodrollEndpoint {
     // Sources/OPML API (read-only)
     publicRouter.get("/api/sources", sourcesController.list);
 
+    // Per-podcast API, keyed on the source slug
+    publicRouter.get("/api/podcasts/:slug", podcastsController.get);
+    publicRouter.get("/api/podcasts/:slug/episodes", episodesController.list);
+
+    // OPML export of the podroll
+    publicRouter.get("/podroll.opml", sourcesController.opml);
+
+    // RSS 2.0 podcast feed of recent episodes
+    publicRouter.get("/podroll.rss", episodesController.feed);
+    publicRouter.get("/recommended.rss", episodesController.recommended);
+
+    // Server-rendered podroll page and iframe embed
+    publicRouter.get("/roll", pageController.page);
+    publicRouter.get("/embed", pageController.embed);
+
+    // Named rolls
+    publicRouter.get("/api/rolls", rollsController.list);
+    publicRouter.get("/api/rolls/:name", rollsController.get);
+    publicRouter.get("/api/rolls/:name/episodes", episodesController.list);
+    publicRouter.get("/api/rolls/:name/sources", sourcesController.list);
+    publicRouter.get("/rolls/:name/podroll.opml", sourcesController.opml);
+    publicRouter.get("/rolls/:name/podroll.rss", episodesController.feed);
+    publicRouter.get(
+      "/rolls/:name/recommended.rss",
+      episodesController.recommended,
+    );
+    publicRouter.get("/rolls/:name", pageController.page);
+    publicRouter.get("/rolls/:name/embed", pageController.embed);
+
     // Status API
     publicRouter.get("/api/status", dashboardController.status);
 
+    // Push updates from the aggregator or a WebSub hub, behind ingestToken
+    publicRouter.get("/ingest/:token", ingestController.verify);
+    publicRouter.post("/ingest/:token", ingestController.ingest);
+
     return publicRouter;
   }
 
@@ -97,6 +235,7 @@ export default class PodrollEndpoint {
     Indiekit.addCollection("podrollEpisodes");
     Indiekit.addCollection("podrollSources");
     Indiekit.addCollection("podrollMeta");
+    Indiekit.addCollection("podrollSyncLog");
 
     // Store config in application for controller access
     Indiekit.config.application.podrollConfig = this.options;
@@ -105,11 +244,53 @@ export default class PodrollEndpoint {
     // Store database getter for controller access
     Indiekit.config.application.getPodrollDb = () => Indiekit.database;
 
+    // Resolved on use, as the Micropub endpoint may be added by a later plugin
+    this.options.getMicropubUrl = () => micropubUrl(Indiekit.config.application);
+
+    // Resolved on use, as background sync only starts below (null if off)
+    this.options.requestSync = () => this.sync?.request() || null;
+
+    // Public URL of the endpoint, for WebSub topics pinged after syncs
+    this.options.getPublicUrl = () =>
+      Indiekit.config.application.url
+        ? new URL(this.mountPath, Indiekit.config.application.url).href
+        : null;
+
+    // Create indexes for search and filtering (also retried on first sync)
+    if (Indiekit.database) {
+      createIndexes(Indiekit.database);
+    }
+
     // Start background sync if database is available and URLs are configured
-    if (Indiekit.config.application.mongodbUrl && this.options.episodesUrl) {
-      startSync(Indiekit, this.options);
-    } else if (!this.options.episodesUrl) {
+    // (adapters reading podrollSources can use sources added on the dashboard)
+    const usesSources = getAdapter(this.options.backend)?.usesSources;
+
+    // A second init (e.g. on restart) replaces the previous timers
+    this.stop();
+
+    if (
+      Indiekit.config.application.mongodbUrl &&
+      (usesSources || this.options.episodesUrl)
+    ) {
+      this.sync = startSync(Indiekit, this.options);
+    } else if (!usesSources && !this.options.episodesUrl) {
       console.warn("[Podroll] No episodesUrl configured, sync disabled");
     }
+
+    // Check sources for dead feeds and broken enclosures
+    if (Indiekit.config.application.mongodbUrl && this.options.healthInterval) {
+      this.stopHealthChecks = startHealthChecks(Indiekit, this.options);
+    }
+  }
+
+  /**
+   * Stop background sync and health checks
+   * Call on shutdown or before re-initialising the plugin.
+   */
+  stop() {
+    this.sync?.stop();
+    this.sync = undefined;
+    this.stopHealthChecks?.();
+    this.stopHealthChecks = undefined;
   }
 }
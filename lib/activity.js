@@ -0,0 +1,68 @@
+/**
+ * Listening activity kept on podrollEpisodes documents
+ * Each status is a boolean field with a matching `<status>At` timestamp.
+ */
+export const activityStatuses = ["listened", "starred", "recommended"];
+
+/**
+ * Query matching episodes without any listening activity
+ * Episodes with activity are kept by retention and "Clear & Re-sync".
+ * @returns {object} MongoDB query
+ */
+export function withoutActivityQuery() {
+  return Object.fromEntries(
+    activityStatuses.map((status) => [status, { $ne: true }]),
+  );
+}
+
+/**
+ * Build the sync upsert for an episode
+ * Stars synced from the aggregator keep the time they were first seen.
+ * @param {object} episode - Transformed episode
+ * @returns {object} MongoDB update
+ */
+export function episodeUpsert(episode) {
+  return episode.starred
+    ? { $set: episode, $min: { starredAt: new Date() } }
+    : { $set: episode };
+}
+
+/**
+ * Update the listening activity of an episode
+ * Statuses left undefined are not changed.
+ * @param {object} db - MongoDB database instance
+ * @param {string} id - Episode id
+ * @param {object} activity - Activity to set
+ * @param {boolean} [activity.listened] - Listened to the episode
+ * @param {boolean} [activity.starred] - Starred the episode
+ * @param {boolean} [activity.recommended] - Recommend the episode
+ * @param {string} [activity.note] - Note shown with the episode
+ * @returns {Promise<object|null>} Updated episode, null if not found
+ */
+export async function updateActivity(db, id, activity) {
+  const now = new Date();
+  const update = { $set: { activityUpdatedAt: now }, $min: {}, $unset: {} };
+
+  for (const status of activityStatuses) {
+    if (activity[status] === undefined) continue;
+
+    update.$set[status] = activity[status];
+    if (activity[status]) {
+      update.$min[`${status}At`] = now;
+    } else {
+      update.$unset[`${status}At`] = "";
+    }
+  }
+
+  if (activity.note !== undefined) {
+    update.$set.note = activity.note.trim();
+  }
+
+  for (const operator of ["$min", "$unset"]) {
+    if (Object.keys(update[operator]).length === 0) delete update[operator];
+  }
+
+  return db
+    .collection("podrollEpisodes")
+    .findOneAndUpdate({ id }, update, { returnDocument: "after" });
+}
@@ -0,0 +1,148 @@
+import { sourceExclusionQuery } from "../exclusions.js";
+import { fetchFeed, transformFeedEntry } from "../feeds.js";
+import { mapWithConcurrency } from "../fetch.js";
+
+/**
+ * Get when each source was first synced from
+ * @param {object} [cursor] - Cursor stored by the previous sync
+ * @returns {Map<string, Date|null>} Oldest synced published date by xmlUrl
+ */
+function sourceCursors(cursor) {
+  return new Map(
+    (cursor?.sources || []).map((source) => [source.xmlUrl, source.since]),
+  );
+}
+
+/**
+ * Direct feed adapter
+ * Fetches each podrollSources xmlUrl and parses RSS/Atom/iTunes XML,
+ * so no aggregator is needed
+ */
+export const feedsAdapter = {
+  name: "feeds",
+  usesSources: true,
+
+  async fetchEpisodes(db, options, cursor) {
+    const { fetchTimeout, fetchConcurrency, maxEpisodes } = options;
+
+    // Excluded podcasts aren't fetched
+    const sources = await db
+      .collection("podrollSources")
+      .find({
+        xmlUrl: { $exists: true, $ne: "" },
+        ...sourceExclusionQuery(options.exclude),
+      })
+      .toArray();
+
+    if (sources.length === 0) {
+      throw new Error("No podcast sources to fetch");
+    }
+
+    console.log(`[Podroll] Fetching episodes from ${sources.length} feeds...`);
+
+    // Feeds always list their full history, so entries are matched against
+    // the stored ids rather than a date: a backdated entry is still new
+    const storedIds = new Set(
+      await db.collection("podrollEpisodes").distinct("id", {
+        "origin.feedUrl": { $in: sources.map((source) => source.xmlUrl) },
+      }),
+    );
+    const previous = sourceCursors(cursor);
+    // Podcasts whose fetch fails keep their place
+    const synced = new Map(
+      sources
+        .filter((source) => previous.has(source.xmlUrl))
+        .map((source) => [source.xmlUrl, previous.get(source.xmlUrl)]),
+    );
+
+    const episodes = [];
+    const sourceUpdates = [];
+    let failed = 0;
+
+    const results = await mapWithConcurrency(
+      sources,
+      fetchConcurrency,
+      (source) => fetchFeed(source.xmlUrl, fetchTimeout),
+    );
+
+    for (const [index, result] of results.entries()) {
+      const source = sources[index];
+      if (result.status === "rejected") {
+        failed++;
+        console.warn(
+          `[Podroll] Feed fetch failed for ${source.xmlUrl}:`,
+          result.reason?.message,
+        );
+        continue;
+      }
+
+      const feed = result.value;
+
+      // Keep podcast artwork and description up to date
+      if (
+        (feed.image && feed.image !== source.image) ||
+        (feed.description && feed.description !== source.description) ||
+        (feed.explicit !== null && feed.explicit !== source.explicit)
+      ) {
+        sourceUpdates.push({
+          updateOne: {
+            filter: { xmlUrl: source.xmlUrl },
+            update: {
+              $set: {
+                image: feed.image || source.image || "",
+                description: feed.description || source.description || "",
+                explicit: feed.explicit ?? source.explicit ?? null,
+              },
+            },
+          },
+        });
+      }
+
+      // A podcast seen for the first time brings its newest maxEpisodes
+      // entries. Older entries stay out on later syncs too, so retention
+      // and that limit aren't undone by the next fetch.
+      let since = previous.get(source.xmlUrl);
+      if (!previous.has(source.xmlUrl)) {
+        const newest = feed.entries
+          .filter((entry) => entry.published)
+          .sort((a, b) => b.published - a.published)
+          .slice(0, maxEpisodes);
+        since = newest.length >= maxEpisodes ? newest.at(-1).published : null;
+      }
+
+      synced.set(source.xmlUrl, since);
+
+      for (const entry of feed.entries) {
+        if (entry.published && since && entry.published < since) {
+          continue;
+        }
+
+        const episode = transformFeedEntry(entry, source, feed);
+        if (!storedIds.has(episode.id)) {
+          episodes.push(episode);
+        }
+      }
+    }
+
+    if (sourceUpdates.length > 0) {
+      await db
+        .collection("podrollSources")
+        .bulkWrite(sourceUpdates, { ordered: false });
+    }
+
+    if (failed === sources.length) {
+      throw new Error("All feed fetches failed");
+    }
+
+    console.log(
+      `[Podroll] Fetched ${episodes.length} episodes (${failed} feeds failed)`,
+    );
+
+    return {
+      episodes: episodes.sort((a, b) => b.published - a.published),
+      cursor: {
+        sources: [...synced].map(([xmlUrl, since]) => ({ xmlUrl, since })),
+      },
+    };
+  },
+};
@@ -0,0 +1,45 @@
+import { fetchWithAuth } from "../auth.js";
+import { transformGreaderItem } from "./greader.js";
+
+/**
+ * FreshRSS user query adapter
+ * episodesUrl is a FreshRSS query.php greader URL with a token in the URL,
+ * or without one when a username and token are set (see fetchWithAuth).
+ * User queries cannot be paged, so each sync reads the newest nb items and
+ * episodes beyond them are missed; use the greader adapter to page through
+ * everything since the last sync.
+ */
+export const freshrssAdapter = {
+  name: "freshrss",
+  incremental: false,
+
+  async fetchEpisodes(db, options) {
+    const { episodesUrl, fetchCount } = options;
+
+    if (!episodesUrl) {
+      throw new Error("No episodesUrl configured");
+    }
+
+    // Append nb parameter for FreshRSS to request more items
+    // (default is 20 which misses most episodes)
+    const separator = episodesUrl.includes("?") ? "&" : "?";
+    const fetchUrl = `${episodesUrl}${separator}nb=${fetchCount}`;
+
+    console.log("[Podroll] Fetching episodes from FreshRSS...");
+    const response = await fetchWithAuth(db, options, fetchUrl, {
+      headers: { Accept: "application/json" },
+    });
+
+    const data = await response.json();
+    const items = data.items || [];
+    console.log(`[Podroll] Fetched ${items.length} episodes`);
+
+    // FreshRSS exposes its own stable numeric id alongside the greader id
+    return {
+      episodes: items.map((item) => ({
+        ...transformGreaderItem(item),
+        id: item["frss:id"] || item.id || item.guid,
+      })),
+    };
+  },
+};
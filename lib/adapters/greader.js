@@ -0,0 +1,164 @@
+import { fetchWithAuth } from "../auth.js";
+import { isImage, parseDuration } from "../metadata.js";
+
+/**
+ * Decode HTML entities in URLs (greader servers return XML-encoded URLs)
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeHtmlEntities(str) {
+  if (!str) return str;
+  return str
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'");
+}
+
+// Google Reader state tag of starred items, for any user
+const STARRED_TAG = /^user\/[^/]+\/state\/com\.google\/starred$/;
+
+/**
+ * Convert a date to Unix time in seconds
+ * @param {Date|string} date - Date
+ * @returns {number} Seconds since epoch
+ */
+function toUnixTime(date) {
+  return Math.floor(new Date(date).getTime() / 1000);
+}
+
+/**
+ * Get the newest time the server fetched one of the items
+ * @param {Array} items - greader items
+ * @param {Date} [previous] - Crawl time from the previous sync
+ * @returns {Date|null} Newest crawl time
+ */
+function newestCrawlTime(items, previous) {
+  const times = [
+    previous && new Date(previous).getTime(),
+    ...items.map((item) => Number(item.crawlTimeMsec)),
+  ].filter((time) => time > 0);
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Transform Google Reader API item to our schema
+ * @param {object} item - greader item
+ * @returns {object} Transformed episode
+ */
+export function transformGreaderItem(item) {
+  // Extract enclosure (audio file) and artwork, which servers such as
+  // FreshRSS list as an image enclosure
+  const enclosures = item.enclosure || [];
+  const enc = enclosures.find((e) => !isImage(e.type, e.medium));
+  const artwork = enclosures.find((e) => isImage(e.type, e.medium));
+
+  let enclosure = null;
+  if (enc) {
+    enclosure = {
+      url: decodeHtmlEntities(enc.href || enc.url),
+      type: enc.type || "audio/mpeg",
+      length: enc.length ? parseInt(enc.length, 10) : 0,
+    };
+  }
+
+  // Extract origin (podcast source)
+  let origin = null;
+  if (item.origin) {
+    origin = {
+      streamId: item.origin.streamId || "",
+      title: item.origin.title || "",
+      htmlUrl: item.origin.htmlUrl || "",
+      feedUrl: item.origin.feedUrl || "",
+    };
+  }
+
+  // Get canonical URL
+  let url = "";
+  if (item.canonical && item.canonical.length > 0) {
+    url = item.canonical[0].href || "";
+  } else if (item.alternate && item.alternate.length > 0) {
+    url = item.alternate[0].href || "";
+  }
+
+  const categories = item.categories || [];
+
+  return {
+    id: item.id || item.guid,
+    guid: item.guid || item.id,
+    title: item.title || "Untitled Episode",
+    url: url,
+    published: item.published ? new Date(item.published * 1000) : new Date(),
+    content: item.content?.content || item.summary?.content || "",
+    author: item.author || "",
+    enclosure: enclosure,
+    image: decodeHtmlEntities(
+      item.thumbnail?.url || artwork?.href || artwork?.url || "",
+    ),
+    duration: parseDuration(enc?.duration),
+    origin: origin,
+    categories,
+    // Only stars are synced, so a local star isn't undone by the aggregator
+    ...(categories.some((category) => STARRED_TAG.test(category)) && {
+      starred: true,
+    }),
+    fetchedAt: new Date(),
+  };
+}
+
+/**
+ * Generic Google Reader API adapter
+ * episodesUrl is a stream contents URL, e.g.
+ * https://rss.example/api/greader.php/reader/api/0/stream/contents/user/-/label/Podcasts
+ */
+export const greaderAdapter = {
+  name: "greader",
+
+  async fetchEpisodes(db, options, cursor) {
+    const { episodesUrl, fetchCount, maxPages } = options;
+
+    if (!episodesUrl) {
+      throw new Error("No episodesUrl configured");
+    }
+
+    console.log("[Podroll] Fetching episodes from Google Reader API...");
+    const items = [];
+    let continuation;
+
+    // First sync takes one page of the newest items. Later syncs page
+    // oldest first from the newest crawl time seen (ot), so backdated and
+    // late items are not missed, and a capped run resumes next time.
+    const pages = cursor?.crawledAt ? maxPages : 1;
+    for (let page = 0; page < pages; page++) {
+      const url = new URL(episodesUrl);
+      url.searchParams.set("n", fetchCount);
+      url.searchParams.set("output", "json");
+      if (cursor?.crawledAt) {
+        url.searchParams.set("ot", toUnixTime(cursor.crawledAt));
+        url.searchParams.set("r", "o");
+      }
+      if (continuation) {
+        url.searchParams.set("c", continuation);
+      }
+
+      const response = await fetchWithAuth(db, options, url, {
+        headers: { Accept: "application/json" },
+      });
+
+      const data = await response.json();
+      items.push(...(data.items || []));
+      continuation = data.continuation;
+
+      if (!continuation) break;
+    }
+
+    console.log(`[Podroll] Fetched ${items.length} episodes`);
+
+    return {
+      episodes: items.map(transformGreaderItem),
+      cursor: { crawledAt: newestCrawlTime(items, cursor?.crawledAt) },
+    };
+  },
+};
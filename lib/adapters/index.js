@@ -0,0 +1,32 @@
+import { feedsAdapter } from "./feeds.js";
+import { freshrssAdapter } from "./freshrss.js";
+import { greaderAdapter } from "./greader.js";
+import { minifluxAdapter } from "./miniflux.js";
+import { ttrssAdapter } from "./ttrss.js";
+
+/**
+ * Episode source adapters
+ * Each adapter has a name and fetchEpisodes(db, options, cursor) returning
+ * { episodes, cursor } with episodes in our schema. The cursor passed in is
+ * the one stored after the previous sync (null on first sync), with the
+ * fields the adapter returned plus the backend and episodes URL it is for.
+ * Adapters with usesSources read podrollSources, so sources must be synced
+ * before episodes. Adapters with incremental: false ignore the cursor and
+ * read the newest items each time, so maxEpisodes caps every sync.
+ */
+export const adapters = {
+  freshrss: freshrssAdapter,
+  greader: greaderAdapter,
+  miniflux: minifluxAdapter,
+  ttrss: ttrssAdapter,
+  feeds: feedsAdapter,
+};
+
+/**
+ * Get adapter by name
+ * @param {string} name - Adapter name
+ * @returns {object|undefined} Adapter
+ */
+export function getAdapter(name) {
+  return Object.hasOwn(adapters, name) ? adapters[name] : undefined;
+}
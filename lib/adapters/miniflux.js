@@ -0,0 +1,108 @@
+import { fetchWithAuth } from "../auth.js";
+import { isImage } from "../metadata.js";
+
+/**
+ * Transform Miniflux entry to our schema
+ * @param {object} entry - Miniflux entry
+ * @returns {object} Transformed episode
+ */
+function transformMinifluxEntry(entry) {
+  const enc = entry.enclosures?.find((enclosure) =>
+    enclosure.mime_type?.startsWith("audio/"),
+  ) || entry.enclosures?.find((enclosure) => !isImage(enclosure.mime_type));
+  const artwork = entry.enclosures?.find((enclosure) =>
+    isImage(enclosure.mime_type),
+  );
+
+  return {
+    id: `miniflux:${entry.id}`,
+    guid: entry.hash || String(entry.id),
+    title: entry.title || "Untitled Episode",
+    url: entry.url || "",
+    published: entry.published_at ? new Date(entry.published_at) : new Date(),
+    content: entry.content || "",
+    author: entry.author || "",
+    enclosure: enc
+      ? {
+          url: enc.url,
+          type: enc.mime_type || "audio/mpeg",
+          length: enc.size || 0,
+        }
+      : null,
+    image: artwork?.url || "",
+    origin: entry.feed
+      ? {
+          streamId: `miniflux/feed/${entry.feed.id}`,
+          title: entry.feed.title || "",
+          htmlUrl: entry.feed.site_url || "",
+          feedUrl: entry.feed.feed_url || "",
+        }
+      : null,
+    categories: [entry.feed?.category?.title, ...(entry.tags || [])].filter(
+      Boolean,
+    ),
+    ...(entry.starred && { starred: true }),
+    fetchedAt: new Date(),
+  };
+}
+
+/**
+ * Miniflux API adapter
+ * episodesUrl is an entries endpoint, e.g.
+ * https://miniflux.example/v1/entries or .../v1/categories/3/entries
+ */
+export const minifluxAdapter = {
+  name: "miniflux",
+
+  async fetchEpisodes(db, options, cursor) {
+    const { episodesUrl, fetchCount, maxPages } = options;
+
+    if (!episodesUrl) {
+      throw new Error("No episodesUrl configured");
+    }
+
+    console.log("[Podroll] Fetching episodes from Miniflux...");
+    const entries = [];
+
+    // First sync takes one page of the newest entries. Later syncs page
+    // through entries stored by Miniflux after the last seen entry id, so
+    // backdated and late entries are not missed, and a capped run resumes
+    // next time.
+    const pages = cursor?.entryId ? maxPages : 1;
+    for (let page = 0; page < pages; page++) {
+      const url = new URL(episodesUrl);
+      url.searchParams.set("limit", fetchCount);
+      url.searchParams.set("offset", page * fetchCount);
+      if (cursor?.entryId) {
+        url.searchParams.set("order", "id");
+        url.searchParams.set("direction", "asc");
+        url.searchParams.set("after_entry_id", cursor.entryId);
+      } else {
+        url.searchParams.set("order", "published_at");
+        url.searchParams.set("direction", "desc");
+      }
+
+      const response = await fetchWithAuth(db, options, url, {
+        headers: { Accept: "application/json" },
+      });
+
+      const data = await response.json();
+      const pageEntries = data.entries || [];
+      entries.push(...pageEntries);
+
+      if (pageEntries.length < fetchCount) break;
+    }
+
+    console.log(`[Podroll] Fetched ${entries.length} episodes`);
+
+    const entryId = Math.max(
+      cursor?.entryId || 0,
+      ...entries.map((entry) => entry.id),
+    );
+
+    return {
+      episodes: entries.map(transformMinifluxEntry),
+      cursor: { ...(entryId > 0 && { entryId }) },
+    };
+  },
+};
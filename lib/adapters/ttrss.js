@@ -0,0 +1,168 @@
+import { fetchWithTimeout } from "../fetch.js";
+import { isImage, parseDuration } from "../metadata.js";
+
+// Tiny Tiny RSS special feed id for all articles
+const ALL_ARTICLES = -4;
+
+/**
+ * Call a Tiny Tiny RSS API operation
+ * @param {string} apiUrl - API URL, e.g. https://tt-rss.example/api/
+ * @param {object} body - Operation and parameters
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<*>} Operation content
+ */
+async function callApi(apiUrl, body, timeout) {
+  const response = await fetchWithTimeout(
+    apiUrl,
+    {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    },
+    timeout,
+  );
+
+  const data = await response.json();
+  if (data.status !== 0) {
+    throw new Error(`TT-RSS ${body.op} failed: ${data.content?.error || "unknown error"}`);
+  }
+
+  return data.content;
+}
+
+/**
+ * Transform Tiny Tiny RSS headline to our schema
+ * @param {object} headline - TT-RSS headline with content and attachments
+ * @param {Map} feeds - Feed id to feed object
+ * @returns {object} Transformed episode
+ */
+function transformHeadline(headline, feeds) {
+  const attachment = headline.attachments?.find((item) =>
+    item.content_type?.startsWith("audio/"),
+  ) || headline.attachments?.find((item) => !isImage(item.content_type));
+  const artwork = headline.attachments?.find((item) =>
+    isImage(item.content_type),
+  );
+  const feed = feeds.get(headline.feed_id);
+
+  return {
+    id: `ttrss:${headline.id}`,
+    guid: headline.guid || String(headline.id),
+    title: headline.title || "Untitled Episode",
+    url: headline.link || "",
+    published: headline.updated ? new Date(headline.updated * 1000) : new Date(),
+    content: headline.content || "",
+    author: headline.author || "",
+    enclosure: attachment
+      ? {
+          url: attachment.content_url,
+          type: attachment.content_type || "audio/mpeg",
+          length: 0,
+        }
+      : null,
+    image: headline.flavor_image || artwork?.content_url || "",
+    duration: parseDuration(attachment?.duration),
+    origin: {
+      streamId: `ttrss/feed/${headline.feed_id}`,
+      title: headline.feed_title || feed?.title || "",
+      htmlUrl: headline.site_url || "",
+      feedUrl: feed?.feed_url || "",
+    },
+    categories: headline.tags?.filter(Boolean) || [],
+    ...(headline.marked && { starred: true }),
+    fetchedAt: new Date(),
+  };
+}
+
+/**
+ * Tiny Tiny RSS API adapter
+ * episodesUrl is the API URL; add feed_id (and is_cat=true for a category)
+ * as query params to limit episodes, e.g.
+ * https://tt-rss.example/api/?feed_id=5&is_cat=true
+ */
+export const ttrssAdapter = {
+  name: "ttrss",
+
+  async fetchEpisodes(db, options, cursor) {
+    const { episodesUrl, fetchTimeout, fetchCount, maxPages, credentials } =
+      options;
+
+    if (!episodesUrl) {
+      throw new Error("No episodesUrl configured");
+    }
+
+    if (!credentials?.username) {
+      throw new Error("TT-RSS requires a username and password");
+    }
+
+    const url = new URL(episodesUrl);
+    const feedId = Number(url.searchParams.get("feed_id") ?? ALL_ARTICLES);
+    const isCat = url.searchParams.get("is_cat") === "true";
+    url.search = "";
+    const apiUrl = url.href;
+
+    console.log("[Podroll] Fetching episodes from Tiny Tiny RSS...");
+    const { session_id: sid } = await callApi(
+      apiUrl,
+      {
+        op: "login",
+        user: credentials.username,
+        password: credentials.password,
+      },
+      fetchTimeout,
+    );
+
+    try {
+      const feedList = await callApi(
+        apiUrl,
+        { op: "getFeeds", sid, cat_id: -3 },
+        fetchTimeout,
+      );
+      const feeds = new Map(feedList.map((feed) => [feed.id, feed]));
+      const headlines = [];
+
+      // First sync takes one page of the newest articles. Later syncs page
+      // oldest first after the last seen article id.
+      const pages = cursor ? maxPages : 1;
+      for (let page = 0; page < pages; page++) {
+        const pageHeadlines = await callApi(
+          apiUrl,
+          {
+            op: "getHeadlines",
+            sid,
+            feed_id: feedId,
+            is_cat: isCat,
+            limit: fetchCount,
+            skip: page * fetchCount,
+            view_mode: "all_articles",
+            order_by: cursor ? "date_reverse" : "feed_dates",
+            show_content: true,
+            include_attachments: true,
+            ...(cursor?.sinceId && { since_id: cursor.sinceId }),
+          },
+          fetchTimeout,
+        );
+
+        headlines.push(...pageHeadlines);
+        if (pageHeadlines.length < fetchCount) break;
+      }
+
+      console.log(`[Podroll] Fetched ${headlines.length} episodes`);
+
+      const sinceId = Math.max(
+        cursor?.sinceId || 0,
+        ...headlines.map((headline) => headline.id),
+      );
+
+      return {
+        episodes: headlines.map((headline) => transformHeadline(headline, feeds)),
+        cursor: { sinceId },
+      };
+    } finally {
+      await callApi(apiUrl, { op: "logout", sid }, fetchTimeout).catch(() => {});
+    }
+  },
+};
@@ -0,0 +1,219 @@
+import { fetchWithTimeout } from "./fetch.js";
+
+const TOKEN_KEY = "greaderAuth";
+
+/**
+ * Get Google Reader API base URL from a stream contents URL
+ * @param {string} streamUrl - e.g. https://rss.example/api/greader.php/reader/api/0/stream/contents/...
+ * @returns {string} Base URL, e.g. https://rss.example/api/greader.php
+ */
+export function greaderBaseUrl(streamUrl) {
+  const index = streamUrl.indexOf("/reader/api/0/");
+  if (index === -1) {
+    throw new Error("Episodes URL is not a Google Reader API stream URL");
+  }
+
+  return streamUrl.slice(0, index);
+}
+
+/**
+ * Log in with the Google Reader ClientLogin handshake
+ * @param {string} baseUrl - Google Reader API base URL
+ * @param {object} credentials - Username and password
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<string>} Auth token
+ */
+async function clientLogin(baseUrl, credentials, timeout) {
+  const response = await fetchWithTimeout(
+    `${baseUrl}/accounts/ClientLogin`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        Email: credentials.username,
+        Passwd: credentials.password,
+      }),
+    },
+    timeout,
+  );
+
+  const body = await response.text();
+  const auth = body.match(/^Auth=(.+)$/m);
+  if (!auth) {
+    throw new Error("ClientLogin response did not include an auth token");
+  }
+
+  return auth[1].trim();
+}
+
+/**
+ * Check if options allow a ClientLogin handshake
+ * @param {object} options - Sync options
+ * @returns {boolean} True if greader credentials are configured
+ */
+function usesClientLogin(options) {
+  const { backend, credentials } = options;
+  return (
+    backend === "greader" &&
+    !credentials?.token &&
+    Boolean(credentials?.username && credentials?.password)
+  );
+}
+
+/**
+ * Get a greader auth token, cached in podrollMeta between syncs
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @param {boolean} refresh - Ignore the cached token and log in again
+ * @returns {Promise<string>} Auth token
+ */
+async function getGreaderToken(db, options, refresh) {
+  const { credentials, episodesUrl, fetchTimeout } = options;
+  const baseUrl = greaderBaseUrl(episodesUrl);
+  const meta = db.collection("podrollMeta");
+
+  if (!refresh) {
+    const cached = await meta.findOne({ key: TOKEN_KEY });
+    if (
+      cached?.token &&
+      cached.baseUrl === baseUrl &&
+      cached.username === credentials.username
+    ) {
+      return cached.token;
+    }
+  }
+
+  console.log("[Podroll] Logging in to Google Reader API...");
+  const token = await clientLogin(baseUrl, credentials, fetchTimeout);
+
+  await meta.updateOne(
+    { key: TOKEN_KEY },
+    {
+      $set: {
+        key: TOKEN_KEY,
+        token,
+        baseUrl,
+        username: credentials.username,
+        obtainedAt: new Date(),
+      },
+    },
+    { upsert: true },
+  );
+
+  return token;
+}
+
+/**
+ * Remove the cached greader auth token
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+export async function clearAuthToken(db) {
+  await db.collection("podrollMeta").deleteOne({ key: TOKEN_KEY });
+}
+
+/**
+ * Build aggregator auth headers for the configured backend
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @param {boolean} refresh - Force a new greader login
+ * @returns {Promise<object>} Request headers
+ */
+async function authHeaders(db, options, refresh) {
+  const { backend, credentials } = options;
+
+  if (backend === "greader") {
+    if (credentials?.token) {
+      return { Authorization: `GoogleLogin auth=${credentials.token}` };
+    }
+
+    if (usesClientLogin(options)) {
+      const token = await getGreaderToken(db, options, refresh);
+      return { Authorization: `GoogleLogin auth=${token}` };
+    }
+  }
+
+  if (backend === "miniflux") {
+    if (credentials?.token) {
+      return { "X-Auth-Token": credentials.token };
+    }
+
+    if (credentials?.username) {
+      const basic = Buffer.from(
+        `${credentials.username}:${credentials.password}`,
+      ).toString("base64");
+      return { Authorization: `Basic ${basic}` };
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Add aggregator auth query parameters for the configured backend
+ * FreshRSS user queries take the user and their API token in the URL
+ * (`user` and `t`); parameters already in the URL are kept.
+ * @param {object} options - Sync options
+ * @param {string|URL} url - URL to fetch
+ * @returns {string|URL} URL with auth parameters
+ */
+function withAuthParams(options, url) {
+  const { backend, credentials } = options;
+
+  if (backend !== "freshrss" || !credentials?.token) {
+    return url;
+  }
+
+  const authUrl = new URL(url);
+  if (credentials.username && !authUrl.searchParams.has("user")) {
+    authUrl.searchParams.set("user", credentials.username);
+  }
+  if (!authUrl.searchParams.has("t")) {
+    authUrl.searchParams.set("t", credentials.token);
+  }
+
+  return authUrl;
+}
+
+/**
+ * Fetch an aggregator URL with stored credentials
+ * Credentials are only sent to the origin of episodesUrl. A cached greader
+ * token rejected with 401 is refreshed with a new ClientLogin and retried once.
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @param {string|URL} url - URL to fetch
+ * @param {object} [init] - Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+export async function fetchWithAuth(db, options, url, init = {}) {
+  const { episodesUrl, fetchTimeout } = options;
+  const sameOrigin =
+    Boolean(episodesUrl) &&
+    new URL(url).origin === new URL(episodesUrl).origin;
+
+  const target = sameOrigin ? withAuthParams(options, url) : url;
+
+  const request = async (refresh) =>
+    fetchWithTimeout(
+      target,
+      {
+        ...init,
+        headers: {
+          ...init.headers,
+          ...(sameOrigin && (await authHeaders(db, options, refresh))),
+        },
+      },
+      fetchTimeout,
+    );
+
+  try {
+    return await request(false);
+  } catch (error) {
+    if (error.status === 401 && sameOrigin && usesClientLogin(options)) {
+      console.log("[Podroll] Auth token rejected, logging in again");
+      return request(true);
+    }
+
+    throw error;
+  }
+}
@@ -0,0 +1,272 @@
+import { markContentChanged } from "./cache.js";
+import { collectionIndexes } from "./indexes.js";
+import { acquireSyncLock, releaseSyncLock } from "./lock.js";
+
+export const BACKUP_FORMAT = "indiekit-podroll-backup";
+export const BACKUP_VERSION = 1;
+
+// podrollMeta documents left out of backups and kept on restore: the
+// aggregator login token, the sync lock and an unconfirmed OPML import
+const localMetaKeys = ["greaderAuth", "syncLock", "pendingImport"];
+
+/**
+ * Convert dates to MongoDB Extended JSON, so they survive a JSON round trip
+ * @param {*} value - Document or value
+ * @returns {*} Value with dates as `{ $date: "<ISO string>" }`
+ */
+function toExtendedJson(value) {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toExtendedJson);
+  }
+
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toExtendedJson(item)]),
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Convert MongoDB Extended JSON dates back to dates
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Value with dates
+ */
+function fromExtendedJson(value) {
+  if (Array.isArray(value)) {
+    return value.map(fromExtendedJson);
+  }
+
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === "$date") {
+      return new Date(value.$date);
+    }
+
+    return Object.fromEntries(
+      keys.map((key) => [key, fromExtendedJson(value[key])]),
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Remove the MongoDB id, which the restoring database assigns anew
+ * @param {object} document - Document
+ * @returns {object} Document without _id
+ */
+function withoutId({ _id, ...document }) {
+  return document;
+}
+
+/**
+ * Export sources, episodes and metadata as a JSON-serialisable backup
+ * Aggregator credentials and login tokens are left out.
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object>} Backup
+ */
+export async function createBackup(db) {
+  const [sources, episodes, meta] = await Promise.all([
+    db.collection("podrollSources").find({}).sort({ order: 1 }).toArray(),
+    db.collection("podrollEpisodes").find({}).sort({ published: -1 }).toArray(),
+    db
+      .collection("podrollMeta")
+      .find({ key: { $nin: localMetaKeys } })
+      .toArray(),
+  ]);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    sources: sources.map((source) => toExtendedJson(withoutId(source))),
+    episodes: episodes.map((episode) => toExtendedJson(withoutId(episode))),
+    meta: meta.map((document) => {
+      const { credentials, ...rest } = withoutId(document);
+      return toExtendedJson(rest);
+    }),
+  };
+}
+
+/**
+ * Check and parse a backup file
+ * @param {string} json - Backup file contents
+ * @returns {object} Sources, episodes and metadata documents
+ */
+export function parseBackup(json) {
+  let backup;
+  try {
+    backup = JSON.parse(json);
+  } catch {
+    throw new Error("Backup file is not valid JSON");
+  }
+
+  if (backup?.format !== BACKUP_FORMAT) {
+    throw new Error("Not a podroll backup file");
+  }
+
+  if (!(backup.version <= BACKUP_VERSION)) {
+    throw new Error(`Unsupported backup version: ${backup.version}`);
+  }
+
+  const { sources, episodes, meta } = backup;
+
+  if (![sources, episodes, meta].every(Array.isArray)) {
+    throw new Error("Backup file is incomplete");
+  }
+
+  if (
+    !sources.every((source) => source?.xmlUrl) ||
+    !episodes.every((episode) => episode?.id) ||
+    !meta.every((document) => document?.key)
+  ) {
+    throw new Error("Backup file has invalid documents");
+  }
+
+  for (const [name, documents, field] of [
+    ["sources", sources, "xmlUrl"],
+    ["episodes", episodes, "id"],
+    ["metadata", meta, "key"],
+  ]) {
+    const values = documents.map((document) => document[field]);
+    if (new Set(values).size !== values.length) {
+      throw new Error(`Backup file has duplicate ${name}`);
+    }
+  }
+
+  return {
+    sources: sources.map((source) => fromExtendedJson(withoutId(source))),
+    episodes: episodes.map((episode) => fromExtendedJson(withoutId(episode))),
+    meta: meta
+      .filter((document) => !localMetaKeys.includes(document.key))
+      .map((document) => fromExtendedJson(withoutId(document))),
+  };
+}
+
+/**
+ * Write documents to a temporary copy of a collection
+ * The copy has the collection's indexes, so it can take its place.
+ * @param {object} db - MongoDB database instance
+ * @param {string} name - Collection name
+ * @param {Array} documents - Documents
+ * @returns {Promise<void>}
+ */
+async function writeTemporaryCollection(db, name, documents) {
+  const temporary = db.collection(`${name}_restore`);
+  await temporary.drop().catch(() => {});
+  await temporary.createIndexes(collectionIndexes[name]);
+
+  if (documents.length > 0) {
+    await temporary.insertMany(documents);
+  }
+}
+
+/**
+ * Replace sources, episodes and metadata with a parsed backup
+ * Runs under the sync lock, so no sync writes in between. Sources and
+ * episodes are written in full before they replace the current ones, so a
+ * failed restore leaves the podroll as it was. The current aggregator
+ * credentials and login token are kept, as backups have none.
+ * @param {object} db - MongoDB database instance
+ * @param {object} backup - Parsed backup, see parseBackup
+ * @param {number} lockTimeout - Sync lock lifetime in ms
+ * @returns {Promise<object>} Number of restored sources, episodes and
+ * metadata documents
+ */
+export async function restoreBackup(db, backup, lockTimeout) {
+  const owner = await acquireSyncLock(db, lockTimeout);
+
+  if (!owner) {
+    throw new Error("A sync is already running");
+  }
+
+  try {
+    const meta = db.collection("podrollMeta");
+    const settings = await meta.findOne({ key: "settings" });
+    const restoredMeta = backup.meta.filter(
+      (document) => document.key !== "settings",
+    );
+    const restoredSettings = backup.meta.find(
+      (document) => document.key === "settings",
+    );
+
+    if (restoredSettings || settings?.credentials) {
+      restoredMeta.push({
+        ...restoredSettings,
+        key: "settings",
+        ...(settings?.credentials && { credentials: settings.credentials }),
+      });
+    }
+
+    const restored = {
+      podrollSources: backup.sources,
+      podrollEpisodes: backup.episodes,
+    };
+
+    try {
+      for (const [name, documents] of Object.entries(restored)) {
+        await writeTemporaryCollection(db, name, documents);
+      }
+    } catch (error) {
+      await Promise.all(
+        Object.keys(restored).map((name) =>
+          db
+            .collection(`${name}_restore`)
+            .drop()
+            .catch(() => {}),
+        ),
+      );
+      throw error;
+    }
+
+    for (const name of Object.keys(restored)) {
+      await db
+        .collection(`${name}_restore`)
+        .rename(name, { dropTarget: true });
+    }
+
+    // The sync lock lives in podrollMeta, so metadata is overwritten by key
+    // rather than swapped, then keys missing from the backup are removed
+    if (restoredMeta.length > 0) {
+      await meta.bulkWrite(
+        restoredMeta.map((document) => ({
+          replaceOne: {
+            filter: { key: document.key },
+            replacement: document,
+            upsert: true,
+          },
+        })),
+        { ordered: false },
+      );
+    }
+
+    await meta.deleteMany({
+      key: {
+        $nin: [
+          ...localMetaKeys,
+          ...restoredMeta.map((document) => document.key),
+        ],
+      },
+    });
+
+    await markContentChanged(db);
+  } finally {
+    await releaseSyncLock(db, owner);
+  }
+
+  console.log(
+    `[Podroll] Restored backup: ${backup.sources.length} sources, ${backup.episodes.length} episodes`,
+  );
+
+  return {
+    sources: backup.sources.length,
+    episodes: backup.episodes.length,
+    meta: backup.meta.length,
+  };
+}
@@ -0,0 +1,72 @@
+import { createHash } from "node:crypto";
+
+import { isFresh } from "./http.js";
+
+// podrollMeta documents whose timestamps change what the public API returns
+const versionKeys = [
+  "lastEpisodesSync",
+  "lastSourcesSync",
+  "syncStatus",
+  "contentChanged",
+  "rollStatus", // One per named roll
+  "lastHealthCheck",
+];
+
+/**
+ * Record a change to public content made outside of a sync
+ * (e.g. a source hidden on the dashboard)
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+export async function markContentChanged(db) {
+  await db
+    .collection("podrollMeta")
+    .updateOne(
+      { key: "contentChanged" },
+      { $set: { key: "contentChanged", timestamp: new Date() } },
+      { upsert: true },
+    );
+}
+
+/**
+ * Get the latest change to public content
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object>} Version string and last modification date
+ */
+async function contentVersion(db) {
+  const docs = await db
+    .collection("podrollMeta")
+    .find({ key: { $in: versionKeys } })
+    .toArray();
+
+  const dates = docs.flatMap((doc) =>
+    [doc.timestamp, doc.lastSuccessAt, doc.lastErrorAt].filter(Boolean),
+  );
+  const times = dates.map((date) => new Date(date).getTime());
+
+  return {
+    version: times.sort().join("-"),
+    lastModified: times.length > 0 ? new Date(Math.max(...times)) : undefined,
+  };
+}
+
+/**
+ * Set caching headers for a public API response and check client validators
+ * The ETag is derived from sync and content change timestamps, so a 304 can be
+ * sent before running the actual query.
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {object} db - MongoDB database instance
+ * @param {number} maxAge - Cache-Control max-age in seconds
+ * @returns {Promise<boolean>} True if a 304 Not Modified can be sent
+ */
+export async function isNotModified(request, response, db, maxAge) {
+  const { version, lastModified } = await contentVersion(db);
+  const hash = createHash("sha1")
+    .update(`${request.originalUrl}\n${version}`)
+    .digest("base64url");
+
+  response.set("Cache-Control", `public, max-age=${maxAge}`);
+
+  return isFresh(request, response, { etag: `W/"${hash}"`, lastModified });
+}
@@ -0,0 +1,142 @@
+import { activityStatuses, updateActivity } from "../activity.js";
+import { markContentChanged } from "../cache.js";
+import { micropubUrl, postEpisode, postStarredEpisodes } from "../micropub.js";
+
+/**
+ * Parse a status form field
+ * Checkboxes can be paired with a hidden "false" field, in which case the
+ * last submitted value wins.
+ * @param {string|Array} value - Submitted value(s)
+ * @returns {boolean|undefined} Status, undefined if not submitted
+ */
+function parseStatus(value) {
+  const last = Array.isArray(value) ? value.at(-1) : value;
+  if (last === undefined) return undefined;
+  return last === "true";
+}
+
+/**
+ * Listening activity controller
+ */
+export const activityController = {
+  /**
+   * Mark an episode as listened, starred or recommended, with a note
+   * POST /episodes/:id/activity
+   * Body: listened, starred, recommended ("true" or "false"), note.
+   * Fields that aren't submitted are left unchanged. Form posts return to
+   * the episode page, JSON requests get the updated activity.
+   */
+  async update(request, response) {
+    const { application } = request.app.locals;
+    const wantsJson = request.accepts(["html", "json"]) === "json";
+    const redirectUrl =
+      application.podrollEndpoint +
+      "/episodes/" +
+      encodeURIComponent(request.params.id);
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const activity = {};
+      for (const status of activityStatuses) {
+        activity[status] = parseStatus(request.body[status]);
+      }
+      if (typeof request.body.note === "string") {
+        activity.note = request.body.note;
+      }
+
+      const starredAt = new Date();
+      const episode = await updateActivity(db, request.params.id, activity);
+
+      if (!episode) {
+        const error = new Error("Episode not found");
+        error.status = 404;
+        throw error;
+      }
+
+      await markContentChanged(db);
+
+      if (activity.starred) {
+        await postStarredEpisodes(db, application.podrollConfig, starredAt);
+      }
+
+      if (wantsJson) {
+        return response.json({
+          id: episode.id,
+          listened: Boolean(episode.listened),
+          starred: Boolean(episode.starred),
+          recommended: Boolean(episode.recommended),
+          note: episode.note || null,
+        });
+      }
+
+      response.redirect(redirectUrl + "?activity=true");
+    } catch (error) {
+      console.error("[Podroll] Episode activity error:", error);
+
+      if (wantsJson) {
+        return response
+          .status(error.status || 500)
+          .json({ error: error.message });
+      }
+
+      response.redirect(
+        redirectUrl + "?error=" + encodeURIComponent(error.message),
+      );
+    }
+  },
+
+  /**
+   * Draft a listen, bookmark or like post of an episode via Micropub
+   * POST /episodes/:id/post
+   * Body: type (listen, bookmark or like)
+   */
+  async post(request, response) {
+    const { application } = request.app.locals;
+    const redirectUrl =
+      application.podrollEndpoint +
+      "/episodes/" +
+      encodeURIComponent(request.params.id);
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const episode = await db
+        .collection("podrollEpisodes")
+        .findOne({ id: request.params.id });
+
+      if (!episode) {
+        throw new Error("Episode not found");
+      }
+
+      // Post as the signed-in user, or with the configured token
+      await postEpisode(
+        db,
+        {
+          url: micropubUrl(application),
+          token:
+            request.session?.access_token ||
+            application.podrollConfig?.micropubToken,
+          timeout: application.podrollConfig?.fetchTimeout,
+        },
+        episode,
+        request.body.type || "listen",
+      );
+
+      response.redirect(redirectUrl + "?posted=true");
+    } catch (error) {
+      console.error("[Podroll] Micropub post error:", error);
+      response.redirect(
+        redirectUrl + "?error=" + encodeURIComponent(error.message),
+      );
+    }
+  },
+};
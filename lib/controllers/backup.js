@@ -0,0 +1,74 @@
+import { createBackup, parseBackup, restoreBackup } from "../backup.js";
+
+/**
+ * Backup controller
+ * Exports the podroll to a JSON file and restores it, e.g. to move to
+ * another Indiekit instance or to undo a bad sync.
+ */
+export const backupController = {
+  /**
+   * Download a backup of sources, episodes and metadata
+   * GET /backup
+   */
+  async download(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const backup = await createBackup(db);
+      const date = backup.exportedAt.slice(0, 10);
+
+      response.set("Cache-Control", "no-store");
+      response.attachment(`podroll-backup-${date}.json`);
+      response.json(backup);
+    } catch (error) {
+      console.error("[Podroll] Backup error:", error);
+      response.redirect(
+        application.podrollEndpoint +
+          "?error=" +
+          encodeURIComponent(error.message),
+      );
+    }
+  },
+
+  /**
+   * Replace the podroll with an uploaded backup
+   * POST /backup
+   */
+  async restore(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      if (!request.file) {
+        throw new Error("No backup file uploaded");
+      }
+
+      const backup = parseBackup(request.file.buffer.toString("utf8"));
+      await restoreBackup(
+        db,
+        backup,
+        application.podrollConfig?.syncLockTimeout,
+      );
+
+      response.redirect(application.podrollEndpoint + "?restored=true");
+    } catch (error) {
+      console.error("[Podroll] Restore error:", error);
+      response.redirect(
+        application.podrollEndpoint +
+          "?error=" +
+          encodeURIComponent(error.message),
+      );
+    }
+  },
+};
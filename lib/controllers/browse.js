@@ -0,0 +1,183 @@
+import { markContentChanged } from "../cache.js";
+import { pageLink, safeUrl, toISO } from "../http.js";
+import { formatDuration } from "../metadata.js";
+import { postTypes } from "../micropub.js";
+import { buildEpisodeQuery, findEpisodePage } from "../queries.js";
+
+/**
+ * Episode browser controller for the admin UI
+ * Hidden episodes are listed here but left out of the public API and feeds.
+ */
+export const browseController = {
+  /**
+   * Render paginated, searchable episode list
+   * GET /episodes
+   * Query params: the filters of /api/episodes, before, after, and
+   * visibility (hidden to list only hidden episodes)
+   */
+  async list(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getPodrollDb();
+
+      let page = { episodes: [], next: null, prev: null };
+      let sources = [];
+
+      if (db) {
+        const collection = db.collection("podrollEpisodes");
+        let query = await buildEpisodeQuery(db, request.query, {
+          includeHidden: true,
+        });
+
+        if (request.query.visibility === "hidden") {
+          query = { $and: [query, { hidden: true }] };
+        }
+
+        [page, sources] = await Promise.all([
+          findEpisodePage(collection, query, {
+            limit: 25,
+            before: request.query.before,
+            after: request.query.after,
+          }),
+          db
+            .collection("podrollSources")
+            .find({}, { projection: { title: 1, xmlUrl: 1 } })
+            .sort({ title: 1 })
+            .toArray(),
+        ]);
+      }
+
+      response.render("episodes", {
+        title: response.__("podroll.episodes"),
+        parent: {
+          href: application.podrollEndpoint,
+          text: response.__("podroll.title"),
+        },
+        episodes: page.episodes.map((episode) => ({
+          ...episode,
+          published: toISO(episode.published),
+          duration: episode.duration ? formatDuration(episode.duration) : null,
+        })),
+        sources,
+        filters: request.query,
+        next: page.next ? pageLink(request, { before: page.next }) : null,
+        prev: page.prev ? pageLink(request, { after: page.prev }) : null,
+      });
+    } catch (error) {
+      console.error("[Podroll] Episode browser error:", error);
+
+      if (error.status === 400) {
+        return response.redirect(
+          application.podrollEndpoint +
+            "/episodes?error=" +
+            encodeURIComponent(error.message),
+        );
+      }
+
+      response.status(500).render("error", {
+        title: "Error",
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * Render episode detail with audio player and activity controls
+   * GET /episodes/:id
+   */
+  async episode(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getPodrollDb();
+
+      const episode = db
+        ? await db
+            .collection("podrollEpisodes")
+            .findOne({ id: request.params.id })
+        : null;
+
+      if (!episode) {
+        return response.status(404).render("error", {
+          title: "Error",
+          message: "Episode not found",
+        });
+      }
+
+      response.render("episode", {
+        title: episode.title,
+        parent: {
+          href: application.podrollEndpoint + "/episodes",
+          text: response.__("podroll.episodes"),
+        },
+        episode: {
+          ...episode,
+          // Links come from feeds, so only http(s) ones are shown
+          url: safeUrl(episode.url),
+          image: safeUrl(episode.image),
+          enclosure: episode.enclosure && {
+            ...episode.enclosure,
+            url: safeUrl(episode.enclosure.url),
+          },
+          origin: episode.origin && {
+            ...episode.origin,
+            htmlUrl: safeUrl(episode.origin.htmlUrl),
+          },
+          published: toISO(episode.published),
+          duration: episode.duration ? formatDuration(episode.duration) : null,
+          posts: (episode.posts || []).map((post) => ({
+            ...post,
+            postedAt: toISO(post.postedAt),
+          })),
+        },
+        postTypes: Object.keys(postTypes),
+      });
+    } catch (error) {
+      console.error("[Podroll] Episode detail error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * Hide an episode from the public API and feeds, or show it again
+   * POST /episodes/:id/visibility
+   * Body: hidden ("true" or "false")
+   */
+  async visibility(request, response) {
+    const { application } = request.app.locals;
+    const redirectUrl =
+      application.podrollEndpoint +
+      "/episodes/" +
+      encodeURIComponent(request.params.id);
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const result = await db
+        .collection("podrollEpisodes")
+        .updateOne(
+          { id: request.params.id },
+          { $set: { hidden: request.body.hidden === "true" } },
+        );
+
+      if (result.matchedCount === 0) {
+        throw new Error("Episode not found");
+      }
+
+      await markContentChanged(db);
+      response.redirect(redirectUrl + "?updated=true");
+    } catch (error) {
+      console.error("[Podroll] Episode visibility error:", error);
+      response.redirect(
+        redirectUrl + "?error=" + encodeURIComponent(error.message),
+      );
+    }
+  },
+};
@@ -1,26 +1,65 @@
-import { runSync } from "../sync.js";
+import { activityStatuses } from "../activity.js";
+import { adapters } from "../adapters/index.js";
+import { clearAuthToken } from "../auth.js";
+import { isNotModified, markContentChanged } from "../cache.js";
+import {
+  getExclusions,
+  normaliseExclusions,
+  publicEpisodeExclusions,
+} from "../exclusions.js";
+import { healthFlags } from "../health.js";
+import { getSyncHistory, syncBackoffUntil } from "../history.js";
+import { safeUrl, toISO } from "../http.js";
+import { getSyncLock } from "../lock.js";
+import { postTypes } from "../micropub.js";
+import {
+  getRollStatus,
+  getRolls,
+  isSyncedRoll,
+  rollEpisodesQuery,
+  rollSourcesQuery,
+} from "../rolls.js";
+import { publicSourcesQuery } from "../sources.js";
+import { getEffectiveSyncOptions, runSync } from "../sync.js";
 
 /**
- * Get effective URLs: DB-stored settings override env var defaults
- * @param {object} db - MongoDB database instance
- * @param {object} podrollConfig - Plugin config from env vars
- * @returns {Promise<object>} Effective episodesUrl and opmlUrl
+ * Parse retention limits from the settings form
+ * Empty fields are left out so plugin config applies.
+ * @param {object} body - Submitted form fields
+ * @returns {object} Retention limits
  */
-async function getEffectiveUrls(db, podrollConfig) {
-  let episodesUrl = podrollConfig?.episodesUrl || "";
-  let opmlUrl = podrollConfig?.opmlUrl || "";
-
-  if (db) {
-    const settings = await db
-      .collection("podrollMeta")
-      .findOne({ key: "settings" });
-    if (settings) {
-      if (settings.episodesUrl) episodesUrl = settings.episodesUrl;
-      if (settings.opmlUrl) opmlUrl = settings.opmlUrl;
+function parseRetention(body) {
+  const fields = {
+    maxEpisodes: body.retentionMaxEpisodes,
+    maxPerPodcast: body.retentionMaxPerPodcast,
+    maxAgeDays: body.retentionMaxAgeDays,
+  };
+  const retention = {};
+  for (const [key, field] of Object.entries(fields)) {
+    const value = Number.parseInt(field, 10);
+    if (Number.isFinite(value) && value >= 0) {
+      retention[key] = value;
     }
   }
 
-  return { episodesUrl, opmlUrl };
+  return retention;
+}
+
+/**
+ * Parse exclusion rules from the settings form
+ * Each textarea holds one feed URL, category, keyword or label per line.
+ * @param {object} body - Submitted form fields
+ * @returns {object} Exclusion rules
+ */
+function parseExclusions(body) {
+  const lines = (value) => String(value || "").split(/\r?\n/);
+
+  return normaliseExclusions({
+    feedUrls: lines(body.excludeFeedUrls),
+    categories: lines(body.excludeCategories),
+    keywords: lines(body.excludeKeywords),
+    labels: lines(body.excludeLabels),
+  });
 }
 
 /**
@@ -36,40 +75,165 @@ export const dashboardController = {
       const { application } = request.app.locals;
       const db = application.getPodrollDb();
 
+      let history = [];
+      let starred = [];
+      let rolls = [];
+      let health = null;
       let stats = {
         episodeCount: 0,
         sourceCount: 0,
         lastEpisodesSync: null,
         lastSourcesSync: null,
+        pruned: null,
+        activity: null,
       };
 
       if (db) {
-        const [episodeCount, sourceCount, episodesMeta, sourcesMeta] = await Promise.all([
-          db.collection("podrollEpisodes").countDocuments(),
+        const episodes = db.collection("podrollEpisodes");
+        const [
+          episodeCount,
+          sourceCount,
+          episodesMeta,
+          sourcesMeta,
+          syncStatus,
+          syncLock,
+          runs,
+          starredEpisodes,
+          healthMeta,
+          flaggedSources,
+          ...activityCounts
+        ] = await Promise.all([
+          episodes.countDocuments(),
           db.collection("podrollSources").countDocuments(),
           db.collection("podrollMeta").findOne({ key: "lastEpisodesSync" }),
           db.collection("podrollMeta").findOne({ key: "lastSourcesSync" }),
+          db.collection("podrollMeta").findOne({ key: "syncStatus" }),
+          getSyncLock(db),
+          getSyncHistory(db),
+          episodes
+            .find({ starred: true })
+            .sort({ starredAt: -1 })
+            .limit(10)
+            .toArray(),
+          db.collection("podrollMeta").findOne({ key: "lastHealthCheck" }),
+          db
+            .collection("podrollSources")
+            .find({ "health.flags.0": { $exists: true } })
+            .toArray(),
+          ...activityStatuses.map((status) =>
+            episodes.countDocuments({ [status]: true }),
+          ),
         ]);
 
-        // Convert Date objects to ISO strings for Nunjucks date filter
-        const toISO = (d) => (d instanceof Date ? d.toISOString() : d);
-
         stats = {
           episodeCount,
           sourceCount,
           lastEpisodesSync: toISO(episodesMeta?.timestamp) || null,
           lastSourcesSync: toISO(sourcesMeta?.timestamp) || null,
+          pruned: episodesMeta?.pruned || null,
+          consecutiveFailures: syncStatus?.consecutiveFailures || 0,
+          lastError: syncStatus?.lastError || null,
+          retryAfter:
+            toISO(syncBackoffUntil(syncStatus, application.podrollConfig)) ||
+            null,
+          runningSince: toISO(syncLock?.lockedAt) || null,
+          activity: Object.fromEntries(
+            activityStatuses.map((status, index) => [
+              status,
+              activityCounts[index],
+            ]),
+          ),
+        };
+
+        history = runs.map((run) => ({
+          ...run,
+          startedAt: toISO(run.startedAt),
+        }));
+
+        starred = starredEpisodes.map((episode) => ({
+          ...episode,
+          starredAt: toISO(episode.starredAt),
+        }));
+
+        // Most serious problems first
+        const severity = (source) =>
+          Math.min(
+            ...source.health.flags.map((flag) => healthFlags.indexOf(flag)),
+          );
+
+        health = healthMeta && {
+          lastCheck: toISO(healthMeta.timestamp),
+          checked: healthMeta.checked,
+          flagged: healthMeta.flagged,
+          sources: flaggedSources
+            .sort((a, b) => severity(a) - severity(b))
+            .map((source) => ({
+              id: source.id,
+              title: source.title || source.xmlUrl,
+              xmlUrl: source.xmlUrl,
+              ...source.health,
+              // The enclosure URL comes from the feed
+              enclosure: source.health.enclosure && {
+                ...source.health.enclosure,
+                url: safeUrl(source.health.enclosure.url),
+              },
+              lastEpisodeAt: toISO(source.health.lastEpisodeAt) || null,
+            })),
         };
+
+        rolls = await Promise.all(
+          getRolls(application.podrollConfig).map(async (roll) => {
+            const [rollSources, rollEpisodes, status] = await Promise.all([
+              db
+                .collection("podrollSources")
+                .countDocuments(rollSourcesQuery(roll)),
+              episodes.countDocuments(await rollEpisodesQuery(db, roll)),
+              getRollStatus(db, roll.name),
+            ]);
+
+            return {
+              ...roll,
+              synced: isSyncedRoll(roll),
+              sourceCount: rollSources,
+              episodeCount: rollEpisodes,
+              lastSync: toISO(status?.timestamp) || null,
+              lastError: status?.lastError || null,
+              consecutiveFailures: status?.consecutiveFailures || 0,
+            };
+          }),
+        );
       }
 
-      const urls = await getEffectiveUrls(db, application.podrollConfig);
+      const syncOptions = await getEffectiveSyncOptions(
+        db,
+        application.podrollConfig,
+      );
 
       response.render("dashboard", {
         title: response.__("podroll.title"),
         stats,
+        history,
+        starred,
+        rolls,
+        health,
+        healthFlags,
+        postTypes: Object.keys(postTypes),
+        backends: Object.keys(adapters),
         config: {
-          episodesUrl: urls.episodesUrl,
-          opmlUrl: urls.opmlUrl,
+          backend: syncOptions.backend,
+          episodesUrl: syncOptions.episodesUrl,
+          opmlUrl: syncOptions.opmlUrl,
+          // Only expose whether secrets are set, never their values
+          username: syncOptions.credentials.username,
+          hasPassword: Boolean(syncOptions.credentials.password),
+          hasToken: Boolean(syncOptions.credentials.token),
+          retention: syncOptions.retention,
+          exclude: Object.fromEntries(
+            Object.entries(syncOptions.exclude).map(([rule, values]) => [
+              rule,
+              values.join("\n"),
+            ]),
+          ),
           syncInterval: application.podrollConfig?.syncInterval || 900000,
         },
       });
@@ -87,29 +251,64 @@ export const dashboardController = {
    * POST /settings
    */
   async saveSettings(request, response) {
+    const { application } = request.app.locals;
+
     try {
-      const { application } = request.app.locals;
       const db = application.getPodrollDb();
 
       if (!db) {
         return response.status(503).json({ error: "Database not available" });
       }
 
-      const { episodesUrl, opmlUrl } = request.body;
+      const {
+        backend,
+        episodesUrl,
+        opmlUrl,
+        username,
+        password,
+        token,
+        clearCredentials,
+      } = request.body;
+
+      if (backend && !Object.hasOwn(adapters, backend)) {
+        throw new Error(`Unknown sync backend: ${backend}`);
+      }
+
+      // Secrets are never rendered, so empty fields keep stored values
+      const current = await db
+        .collection("podrollMeta")
+        .findOne({ key: "settings" });
+      const credentials = clearCredentials
+        ? { username: "", password: "", token: "" }
+        : {
+            username: username || "",
+            password: password || current?.credentials?.password || "",
+            token: token || current?.credentials?.token || "",
+          };
 
       await db.collection("podrollMeta").updateOne(
         { key: "settings" },
         {
           $set: {
             key: "settings",
+            backend: backend || "",
             episodesUrl: episodesUrl || "",
             opmlUrl: opmlUrl || "",
+            credentials,
+            retention: parseRetention(request.body),
+            exclude: parseExclusions(request.body),
             updatedAt: new Date(),
           },
         },
         { upsert: true },
       );
 
+      // Log in again with the new credentials on next sync
+      await clearAuthToken(db);
+
+      // Exclusions apply to public output straight away
+      await markContentChanged(db);
+
       console.log("[Podroll] Settings saved");
       response.redirect(application.podrollEndpoint + "?saved=true");
     } catch (error) {
@@ -127,23 +326,30 @@ export const dashboardController = {
    * POST /sync
    */
   async sync(request, response) {
+    const { application } = request.app.locals;
+
     try {
-      const { application } = request.app.locals;
       const db = application.getPodrollDb();
 
       if (!db) {
         return response.status(503).json({ error: "Database not available" });
       }
 
-      // Use effective URLs (DB settings override env vars)
-      const urls = await getEffectiveUrls(db, application.podrollConfig);
-      const syncOptions = {
-        ...application.podrollConfig,
-        episodesUrl: urls.episodesUrl,
-        opmlUrl: urls.opmlUrl,
-      };
+      // Use effective options (DB settings override env vars)
+      const syncOptions = await getEffectiveSyncOptions(
+        db,
+        application.podrollConfig,
+      );
+
+      const result = await runSync(db, syncOptions, "manual");
+
+      if (result.locked) {
+        throw new Error(result.error);
+      }
 
-      const result = await runSync(db, syncOptions);
+      if (result.run && !result.run.success) {
+        throw new Error(result.run.error);
+      }
 
       // Redirect back to dashboard with success message
       response.redirect(application.podrollEndpoint + "?synced=true");
@@ -158,32 +364,35 @@ export const dashboardController = {
    * POST /clear-resync
    */
   async clearResync(request, response) {
+    const { application } = request.app.locals;
+
     try {
-      const { application } = request.app.locals;
       const db = application.getPodrollDb();
 
       if (!db) {
         return response.status(503).json({ error: "Database not available" });
       }
 
-      // Clear data collections but preserve settings
-      await Promise.all([
-        db.collection("podrollEpisodes").deleteMany({}),
-        db.collection("podrollSources").deleteMany({}),
-        db.collection("podrollMeta").deleteMany({ key: { $ne: "settings" } }),
-      ]);
-
-      console.log("[Podroll] Cleared all data, starting fresh sync...");
-
-      // Use effective URLs (DB settings override env vars)
-      const urls = await getEffectiveUrls(db, application.podrollConfig);
-      const syncOptions = {
-        ...application.podrollConfig,
-        episodesUrl: urls.episodesUrl,
-        opmlUrl: urls.opmlUrl,
-      };
+      // Use effective options (DB settings override env vars)
+      const syncOptions = await getEffectiveSyncOptions(
+        db,
+        application.podrollConfig,
+      );
+
+      // Data is cleared once the sync lock is taken, keeping settings,
+      // dashboard-managed sources, and episodes with listening activity
+      // or hidden on the dashboard
+      const result = await runSync(db, syncOptions, "clear-resync", {
+        clear: true,
+      });
+
+      if (result.locked) {
+        throw new Error(result.error);
+      }
 
-      const result = await runSync(db, syncOptions);
+      if (result.run && !result.run.success) {
+        throw new Error(result.run.error);
+      }
 
       response.redirect(application.podrollEndpoint + "?cleared=true");
     } catch (error) {
@@ -208,15 +417,41 @@ export const dashboardController = {
         });
       }
 
-      const [episodeCount, sourceCount, episodesMeta, sourcesMeta] = await Promise.all([
-        db.collection("podrollEpisodes").countDocuments(),
-        db.collection("podrollSources").countDocuments(),
-        db.collection("podrollMeta").findOne({ key: "lastEpisodesSync" }),
-        db.collection("podrollMeta").findOne({ key: "lastSourcesSync" }),
-      ]);
+      const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+      if (await isNotModified(request, response, db, maxAge)) {
+        return response.status(304).end();
+      }
+
+      // Count what the public API lists
+      const exclusions = await getExclusions(db, application.podrollConfig);
+      const episodeQuery = {
+        $and: [
+          { hidden: { $ne: true } },
+          await publicEpisodeExclusions(db, application.podrollConfig),
+        ],
+      };
+
+      const [episodeCount, sourceCount, episodesMeta, sourcesMeta, syncStatus] =
+        await Promise.all([
+          db.collection("podrollEpisodes").countDocuments(episodeQuery),
+          db
+            .collection("podrollSources")
+            .countDocuments(publicSourcesQuery(exclusions)),
+          db.collection("podrollMeta").findOne({ key: "lastEpisodesSync" }),
+          db.collection("podrollMeta").findOne({ key: "lastSourcesSync" }),
+          db.collection("podrollMeta").findOne({ key: "syncStatus" }),
+        ]);
+
+      const consecutiveFailures = syncStatus?.consecutiveFailures || 0;
 
       response.json({
-        status: "ok",
+        status: consecutiveFailures > 0 ? "failing" : "ok",
+        lastError: syncStatus?.lastError
+          ? { message: syncStatus.lastError, at: syncStatus.lastErrorAt }
+          : null,
+        consecutiveFailures,
+        // Scheduled syncs back off after failures
+        retryAfter: syncBackoffUntil(syncStatus, application.podrollConfig),
         episodes: {
           count: episodeCount,
           lastSync: episodesMeta?.timestamp || null,
@@ -1,3 +1,59 @@
+import { isNotModified } from "../cache.js";
+import { getExclusions, publicEpisodeExclusions } from "../exclusions.js";
+import { absoluteUrl, etagFor, isFresh, pageLink } from "../http.js";
+import {
+  buildEpisodeQuery,
+  episodeSort,
+  findEpisodePage,
+} from "../queries.js";
+import { findRoll, rollEpisodesQuery } from "../rolls.js";
+import { setHubLinks } from "../notify.js";
+import { generateRss } from "../rss.js";
+import { findPublicSource, sourceId } from "../sources.js";
+
+/**
+ * Transform an episode document for API responses
+ * @param {object} episode - Episode document
+ * @returns {object} API episode
+ */
+function formatEpisode(episode) {
+  return {
+    id: episode.id,
+    title: episode.title,
+    url: episode.url,
+    published: episode.published,
+    content: episode.content,
+    author: episode.author,
+    enclosure: episode.enclosure,
+    image: episode.image || null,
+    duration: episode.duration ?? null,
+    season: episode.season ?? null,
+    episode: episode.episode ?? null,
+    explicit: episode.explicit ?? null,
+    chapters: episode.chapters || null,
+    transcripts: episode.transcripts || [],
+    activity: {
+      listened: Boolean(episode.listened),
+      listenedAt: episode.listenedAt || null,
+      starred: Boolean(episode.starred),
+      starredAt: episode.starredAt || null,
+      recommended: Boolean(episode.recommended),
+      recommendedAt: episode.recommendedAt || null,
+      note: episode.note || null,
+    },
+    podcast: episode.origin
+      ? {
+          slug: episode.origin.feedUrl
+            ? sourceId(episode.origin.feedUrl)
+            : null,
+          title: episode.origin.title,
+          url: episode.origin.htmlUrl,
+          feedUrl: episode.origin.feedUrl,
+        }
+      : null,
+  };
+}
+
 /**
  * Episodes API controller
  */
@@ -5,7 +61,12 @@ export const episodesController = {
   /**
    * List episodes
    * GET /api/episodes
-   * Query params: limit, offset, source (filter by origin title)
+   * GET /api/podcasts/:slug/episodes
+   * GET /api/rolls/:name/episodes
+   * Query params: limit, before/after (cursors from next/prev links), offset
+   * (legacy paging with totals), q (full-text search), source (origin title),
+   * feed (feed URL), category, since, until, minDuration, maxDuration,
+   * hasEnclosure, status (listened, starred or recommended)
    */
   async list(request, response) {
     try {
@@ -18,57 +79,79 @@ export const episodesController = {
         });
       }
 
-      const limit = Math.min(parseInt(request.query.limit) || 50, 200);
-      const offset = parseInt(request.query.offset) || 0;
-      const source = request.query.source || null;
+      const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+      if (await isNotModified(request, response, db, maxAge)) {
+        return response.status(304).end();
+      }
+
+      const params = { ...request.query };
+      const roll = findRoll(application.podrollConfig, request.params.name);
+
+      if (request.params.name && !roll) {
+        return response.status(404).json({ error: "Roll not found" });
+      }
 
+      // Episodes of one podcast
+      if (request.params.slug) {
+        const source = await findPublicSource(
+          db,
+          request.params.slug,
+          await getExclusions(db, application.podrollConfig),
+        );
+
+        if (!source) {
+          return response.status(404).json({ error: "Podcast not found" });
+        }
+
+        params.feed = source.xmlUrl;
+      }
+
+      const limit = Math.min(parseInt(params.limit) || 50, 200);
       const collection = db.collection("podrollEpisodes");
 
       // Build query
-      const query = {};
-      if (source) {
-        query["origin.title"] = { $regex: source, $options: "i" };
-      }
+      const query = await buildEpisodeQuery(db, params, {
+        exclude: await publicEpisodeExclusions(db, application.podrollConfig),
+        scope: roll ? await rollEpisodesQuery(db, roll) : undefined,
+      });
 
-      // Get total count
-      const total = await collection.countDocuments(query);
+      // Offset paging counts all matches and keeps relevance order for q
+      if (params.offset !== undefined) {
+        const offset = parseInt(params.offset) || 0;
+        const total = await collection.countDocuments(query);
+        const episodes = await collection
+          .find(query)
+          .sort(episodeSort(params))
+          .skip(offset)
+          .limit(limit)
+          .toArray();
 
-      // Get episodes
-      const episodes = await collection
-        .find(query)
-        .sort({ published: -1 })
-        .skip(offset)
-        .limit(limit)
-        .toArray();
-
-      // Transform for API response
-      const items = episodes.map((ep) => ({
-        id: ep.id,
-        title: ep.title,
-        url: ep.url,
-        published: ep.published,
-        content: ep.content,
-        author: ep.author,
-        enclosure: ep.enclosure,
-        podcast: ep.origin
-          ? {
-              title: ep.origin.title,
-              url: ep.origin.htmlUrl,
-              feedUrl: ep.origin.feedUrl,
-            }
-          : null,
-      }));
+        return response.json({
+          items: episodes.map((episode) => formatEpisode(episode)),
+          total,
+          limit,
+          offset,
+          hasMore: offset + episodes.length < total,
+        });
+      }
+
+      // Cursor paging on published, id (newest first)
+      const { episodes, next, prev } = await findEpisodePage(
+        collection,
+        query,
+        { limit, before: params.before, after: params.after },
+      );
 
       response.json({
-        items,
-        total,
+        items: episodes.map((episode) => formatEpisode(episode)),
         limit,
-        offset,
-        hasMore: offset + items.length < total,
+        hasMore: Boolean(next),
+        next: next ? pageLink(request, { before: next }) : null,
+        prev: prev ? pageLink(request, { after: prev }) : null,
       });
     } catch (error) {
       console.error("[Podroll] Episodes list error:", error);
-      response.status(500).json({ error: error.message });
+      response.status(error.status || 500).json({ error: error.message });
     }
   },
 
@@ -87,30 +170,28 @@ export const episodesController = {
         });
       }
 
+      const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+      if (await isNotModified(request, response, db, maxAge)) {
+        return response.status(304).end();
+      }
+
       const { id } = request.params;
       const collection = db.collection("podrollEpisodes");
 
-      const episode = await collection.findOne({ id });
+      const exclude = await publicEpisodeExclusions(
+        db,
+        application.podrollConfig,
+      );
+      const episode = await collection.findOne({
+        $and: [{ id, hidden: { $ne: true } }, exclude],
+      });
 
       if (!episode) {
         return response.status(404).json({ error: "Episode not found" });
       }
 
       response.json({
-        id: episode.id,
-        title: episode.title,
-        url: episode.url,
-        published: episode.published,
-        content: episode.content,
-        author: episode.author,
-        enclosure: episode.enclosure,
-        podcast: episode.origin
-          ? {
-              title: episode.origin.title,
-              url: episode.origin.htmlUrl,
-              feedUrl: episode.origin.feedUrl,
-            }
-          : null,
+        ...formatEpisode(episode),
         categories: episode.categories,
       });
     } catch (error) {
@@ -118,4 +199,150 @@ export const episodesController = {
       response.status(500).json({ error: error.message });
     }
   },
+
+  /**
+   * RSS 2.0 podcast feed of recent episodes
+   * GET /podroll.rss
+   * GET /rolls/:name/podroll.rss
+   * Query params: limit, plus the filters of /api/episodes
+   */
+  async feed(request, response) {
+    const { application } = request.app.locals;
+    const roll = findRoll(application.podrollConfig, request.params.name);
+
+    if (request.params.name && !roll) {
+      return response.status(404).type("text/plain").send("Roll not found");
+    }
+
+    const title = feedTitle(application, roll);
+
+    await sendFeed(request, response, {
+      params: request.query,
+      title: request.query.source ? `${title}: ${request.query.source}` : title,
+      sort: episodeSort(request.query),
+      roll,
+      hubs: application.podrollConfig?.websubHubs,
+    });
+  },
+
+  /**
+   * RSS 2.0 feed of recommended episodes, most recently recommended first
+   * GET /recommended.rss
+   * GET /rolls/:name/recommended.rss
+   * Query params: limit
+   */
+  async recommended(request, response) {
+    const { application } = request.app.locals;
+    const roll = findRoll(application.podrollConfig, request.params.name);
+
+    if (request.params.name && !roll) {
+      return response.status(404).type("text/plain").send("Roll not found");
+    }
+
+    await sendFeed(request, response, {
+      params: { limit: request.query.limit, status: "recommended" },
+      title: `${feedTitle(application, roll)}: Recommended`,
+      sort: { recommendedAt: -1, published: -1 },
+      roll,
+    });
+  },
 };
+
+/**
+ * Get the title of an episodes feed
+ * @param {object} application - Indiekit application config
+ * @param {object|null} roll - Named roll, see getRolls
+ * @returns {string} Feed title
+ */
+function feedTitle(application, roll) {
+  const title = application.podrollConfig?.feedTitle || "Podroll";
+  return roll ? `${title}: ${roll.title}` : title;
+}
+
+/**
+ * Send an RSS 2.0 feed of episodes
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {object} feed - Feed options
+ * @param {object} feed.params - Episode query params, see buildEpisodeQuery
+ * @param {string} feed.title - Feed title
+ * @param {object} feed.sort - MongoDB sort
+ * @param {object|null} [feed.roll] - Named roll to limit episodes to
+ * @param {Array} [feed.hubs] - WebSub hubs pinged when the feed changes
+ * @returns {Promise<void>}
+ */
+async function sendFeed(request, response, { params, title, sort, roll, hubs }) {
+  try {
+    const { application, publication } = request.app.locals;
+    const db = application.getPodrollDb();
+
+    if (!db) {
+      return response.status(503).type("text/plain").send("Database not available");
+    }
+
+    const limit = Math.min(parseInt(params.limit) || 50, 200);
+
+    const query = await buildEpisodeQuery(db, params, {
+      exclude: await publicEpisodeExclusions(db, application.podrollConfig),
+      scope: roll ? await rollEpisodesQuery(db, roll) : undefined,
+    });
+
+    // Episodes change on sync (of the installation or a roll), and on
+    // listening activity between syncs
+    const [episodes, changes] = await Promise.all([
+      db
+        .collection("podrollEpisodes")
+        .find(query)
+        .sort(sort)
+        .limit(limit)
+        .toArray(),
+      db
+        .collection("podrollMeta")
+        .find({
+          key: { $in: ["lastEpisodesSync", "contentChanged", "rollStatus"] },
+        })
+        .toArray(),
+    ]);
+
+    const timestamps = changes
+      .map((meta) => new Date(meta.timestamp).getTime())
+      .filter(Boolean);
+    const lastBuildDate =
+      timestamps.length > 0 ? new Date(Math.max(...timestamps)) : undefined;
+    const siteUrl = publication?.me || absoluteUrl(request, "/", application.url);
+
+    const xml = generateRss(episodes, {
+      title,
+      link: siteUrl,
+      selfUrl: absoluteUrl(request, request.originalUrl, application.url),
+      description:
+        roll?.description || application.podrollConfig?.feedDescription,
+      author: application.name,
+      lastBuildDate,
+      hubs,
+    });
+
+    const fresh = isFresh(request, response, {
+      etag: etagFor(xml),
+      lastModified: lastBuildDate,
+    });
+
+    if (fresh) {
+      return response.status(304).end();
+    }
+
+    // Hubs are pinged for the feed's URL without query parameters
+    setHubLinks(
+      response,
+      hubs,
+      absoluteUrl(request, request.baseUrl + request.path, application.url),
+    );
+    response.type("application/rss+xml; charset=utf-8").send(xml);
+  } catch (error) {
+    console.error("[Podroll] Episodes feed error:", error);
+    response
+      .status(error.status || 500)
+      .type("text/plain")
+      .send(error.message);
+  }
+}
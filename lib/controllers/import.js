@@ -0,0 +1,210 @@
+import { markContentChanged } from "../cache.js";
+import { parseOpml } from "../opml.js";
+import { diffSources, removeSources, sourceId } from "../sources.js";
+
+/**
+ * OPML import controller
+ * Uploaded sources are kept as a pending import in podrollMeta until the
+ * admin confirms the previewed changes.
+ */
+export const importController = {
+  /**
+   * Parse uploaded OPML file
+   * POST /import
+   */
+  async upload(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      if (!request.file) {
+        throw new Error("No OPML file uploaded");
+      }
+
+      const sources = await parseOpml(request.file.buffer.toString("utf8"));
+
+      if (sources.length === 0) {
+        throw new Error("No feeds found in OPML file");
+      }
+
+      await db.collection("podrollMeta").updateOne(
+        { key: "pendingImport" },
+        {
+          $set: {
+            key: "pendingImport",
+            filename: request.file.originalname,
+            sources,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true },
+      );
+
+      response.redirect(application.podrollEndpoint + "/import");
+    } catch (error) {
+      console.error("[Podroll] OPML upload error:", error);
+      response.redirect(
+        application.podrollEndpoint +
+          "?error=" +
+          encodeURIComponent(error.message),
+      );
+    }
+  },
+
+  /**
+   * Preview pending import
+   * GET /import
+   */
+  async preview(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getPodrollDb();
+
+      const pending = db
+        ? await db.collection("podrollMeta").findOne({ key: "pendingImport" })
+        : null;
+
+      if (!pending) {
+        return response.redirect(application.podrollEndpoint);
+      }
+
+      const current = await db.collection("podrollSources").find({}).toArray();
+
+      response.render("import", {
+        title: response.__("podroll.importPreview"),
+        parent: {
+          href: application.podrollEndpoint,
+          text: response.__("podroll.title"),
+        },
+        filename: pending.filename,
+        diff: diffSources(current, pending.sources),
+      });
+    } catch (error) {
+      console.error("[Podroll] Import preview error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * Apply pending import to podrollSources
+   * POST /import/confirm
+   */
+  async confirm(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const meta = db.collection("podrollMeta");
+      const pending = await meta.findOne({ key: "pendingImport" });
+
+      if (!pending) {
+        throw new Error("No pending import");
+      }
+
+      const collection = db.collection("podrollSources");
+      const current = await collection.find({}).toArray();
+      const diff = diffSources(current, pending.sources);
+      const order = current.length;
+
+      // Imported sources are managed locally, so OPML sync keeps them
+      const operations = [
+        ...diff.added.map((source, index) => ({
+          insertOne: {
+            document: {
+              ...source,
+              id: sourceId(source.xmlUrl),
+              categoryLocked: true,
+              local: true,
+              remote: false,
+              hidden: false,
+              order: order + index,
+              addedAt: new Date(),
+              fetchedAt: new Date(),
+            },
+          },
+        })),
+        ...diff.changed.map((source) => ({
+          updateOne: {
+            filter: { xmlUrl: source.xmlUrl },
+            update: {
+              $set: {
+                title: source.title,
+                htmlUrl: source.htmlUrl,
+                category: source.category,
+                categoryLocked: true,
+                local: true,
+                updatedAt: new Date(),
+              },
+            },
+          },
+        })),
+      ];
+
+      if (operations.length > 0) {
+        await collection.bulkWrite(operations);
+      }
+
+      if (request.body.removeMissing === "true") {
+        await removeSources(db, diff.removed);
+      }
+
+      // Imported feeds are no longer considered removed
+      await meta.updateOne(
+        { key: "removedSources" },
+        { $pull: { xmlUrls: { $in: pending.sources.map((s) => s.xmlUrl) } } },
+      );
+      await meta.deleteOne({ key: "pendingImport" });
+      await markContentChanged(db);
+
+      console.log(
+        `[Podroll] Imported OPML: ${diff.added.length} new, ${diff.changed.length} changed`,
+      );
+      response.redirect(application.podrollEndpoint + "?imported=true");
+    } catch (error) {
+      console.error("[Podroll] OPML import error:", error);
+      response.redirect(
+        application.podrollEndpoint +
+          "?error=" +
+          encodeURIComponent(error.message),
+      );
+    }
+  },
+
+  /**
+   * Discard pending import
+   * POST /import/cancel
+   */
+  async cancel(request, response) {
+    const { application } = request.app.locals;
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (db) {
+        await db.collection("podrollMeta").deleteOne({ key: "pendingImport" });
+      }
+
+      response.redirect(application.podrollEndpoint);
+    } catch (error) {
+      console.error("[Podroll] OPML import cancel error:", error);
+      response.redirect(
+        application.podrollEndpoint +
+          "?error=" +
+          encodeURIComponent(error.message),
+      );
+    }
+  },
+};
@@ -0,0 +1,78 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+/**
+ * Check an ingest token against the configured secret
+ * Both are hashed first, so the comparison takes the same time whatever
+ * their lengths.
+ * @param {object} config - Plugin config
+ * @param {string} token - Token from the request URL
+ * @returns {boolean} True if ingest is enabled and the token matches
+ */
+function isValidToken(config, token) {
+  if (!config?.ingestToken || !token) return false;
+
+  const digest = (value) => createHash("sha256").update(String(value)).digest();
+  return timingSafeEqual(digest(config.ingestToken), digest(token));
+}
+
+/**
+ * Ingest controller
+ * Lets an aggregator, a WebSub hub or any script with the secret URL start a
+ * sync without waiting for the next scheduled one. An unknown token and a
+ * disabled route look the same, so the URL doesn't leak whether it exists.
+ */
+export const ingestController = {
+  /**
+   * Confirm a WebSub subscription by echoing the hub's challenge
+   * GET /ingest/:token
+   * Query params: hub.mode, hub.topic, hub.challenge
+   */
+  verify(request, response) {
+    const { application } = request.app.locals;
+
+    if (!isValidToken(application.podrollConfig, request.params.token)) {
+      return response.status(404).json({ error: "Not found" });
+    }
+
+    const challenge = request.query["hub.challenge"];
+
+    if (!challenge) {
+      return response.status(400).json({ error: "Missing hub.challenge" });
+    }
+
+    console.log(
+      `[Podroll] Confirmed WebSub ${request.query["hub.mode"]} for ${request.query["hub.topic"]}`,
+    );
+    response.type("text/plain").send(String(challenge));
+  },
+
+  /**
+   * Start a debounced sync
+   * POST /ingest/:token
+   * The body (e.g. a WebSub content notification) is ignored: the sync
+   * fetches new episodes from the aggregator as usual.
+   */
+  ingest(request, response) {
+    const { application } = request.app.locals;
+    const config = application.podrollConfig;
+
+    if (!isValidToken(config, request.params.token)) {
+      return response.status(404).json({ error: "Not found" });
+    }
+
+    const requested = config.requestSync?.();
+
+    if (!requested) {
+      return response.status(503).json({
+        error: "Background sync is not running",
+      });
+    }
+
+    console.log("[Podroll] Sync requested through ingest");
+    response.set("Cache-Control", "no-store");
+    response.status(202).json({
+      accepted: true,
+      syncAt: requested.at?.toISOString() || null,
+    });
+  },
+};
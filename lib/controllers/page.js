@@ -0,0 +1,206 @@
+import { isNotModified } from "../cache.js";
+import { getExclusions, publicEpisodeExclusions } from "../exclusions.js";
+import { safeUrl, toISO } from "../http.js";
+import { formatDuration } from "../metadata.js";
+import { buildEpisodeQuery, episodeSort } from "../queries.js";
+import { findRoll, rollEpisodesQuery, rollSourcesQuery } from "../rolls.js";
+import { publicSourcesQuery, sourceId } from "../sources.js";
+
+/**
+ * Load the podcasts and recent episodes shown on a public page
+ * @param {object} request - Express request
+ * @param {object} roll - Named roll, null for the whole podroll
+ * @param {number} limit - Number of recent episodes
+ * @returns {Promise<object>} Podcasts grouped by category, and episodes
+ */
+async function loadRoll(request, roll, limit) {
+  const { application } = request.app.locals;
+  const db = application.getPodrollDb();
+  const options = application.podrollConfig;
+
+  const [sources, episodes] = await Promise.all([
+    db
+      .collection("podrollSources")
+      .find({
+        ...publicSourcesQuery(await getExclusions(db, options)),
+        ...(roll && rollSourcesQuery(roll)),
+      })
+      .sort({ category: 1, order: 1 })
+      .toArray(),
+    limit > 0
+      ? db
+          .collection("podrollEpisodes")
+          .find(
+            await buildEpisodeQuery(
+              db,
+              {},
+              {
+                exclude: await publicEpisodeExclusions(db, options),
+                scope: roll ? await rollEpisodesQuery(db, roll) : undefined,
+              },
+            ),
+          )
+          .sort(episodeSort({}))
+          .limit(limit)
+          .toArray()
+      : [],
+  ]);
+
+  // Podcasts grouped by category, in OPML order. Links and artwork come
+  // from feeds and OPML files, so only http(s) URLs are rendered.
+  const categories = new Map();
+  for (const source of sources) {
+    const category = source.category || "";
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push({
+      ...source,
+      image: safeUrl(source.image),
+      htmlUrl: safeUrl(source.htmlUrl),
+      xmlUrl: safeUrl(source.xmlUrl),
+    });
+  }
+
+  return {
+    categories: [...categories].map(([name, podcasts]) => ({ name, podcasts })),
+    podcastCount: sources.length,
+    episodes: episodes.map((episode) => ({
+      ...episode,
+      url: safeUrl(episode.url),
+      image: safeUrl(episode.image),
+      enclosure: { ...episode.enclosure, url: safeUrl(episode.enclosure?.url) },
+      published: toISO(episode.published),
+      duration: episode.duration ? formatDuration(episode.duration) : null,
+      podcast: episode.origin?.feedUrl
+        ? {
+            ...episode.origin,
+            htmlUrl: safeUrl(episode.origin.htmlUrl),
+            feedUrl: safeUrl(episode.origin.feedUrl),
+            slug: sourceId(episode.origin.feedUrl),
+          }
+        : null,
+    })),
+  };
+}
+
+/**
+ * Get links to the feeds and pages of the podroll or a named roll
+ * @param {object} request - Express request
+ * @param {object|null} roll - Named roll
+ * @returns {object} Page, embed, RSS feed and OPML URLs
+ */
+function rollLinks(request, roll) {
+  const base = roll
+    ? `${request.baseUrl}/rolls/${roll.name}`
+    : request.baseUrl;
+
+  return {
+    page: roll ? base : `${base}/roll`,
+    embed: `${base}/embed`,
+    feed: `${base}/podroll.rss`,
+    opml: `${base}/podroll.opml`,
+  };
+}
+
+/**
+ * Render a public page of the podroll or a named roll
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {object} page - Page options
+ * @param {string} page.view - View name
+ * @param {number} page.limit - Number of recent episodes
+ * @returns {Promise<void>}
+ */
+async function renderRoll(request, response, { view, limit }) {
+  try {
+    const { application, publication } = request.app.locals;
+    const db = application.getPodrollDb();
+
+    if (!db) {
+      return response.status(503).type("text/plain").send("Database not available");
+    }
+
+    const roll = findRoll(application.podrollConfig, request.params.name);
+
+    if (request.params.name && !roll) {
+      return response.status(404).type("text/plain").send("Roll not found");
+    }
+
+    const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+    if (await isNotModified(request, response, db, maxAge)) {
+      return response.status(304).end();
+    }
+
+    const title = application.podrollConfig?.opmlTitle || "Podroll";
+
+    response.render(view, {
+      title: roll ? `${title}: ${roll.title}` : title,
+      description:
+        roll?.description || application.podrollConfig?.feedDescription,
+      author: {
+        name: application.name,
+        url: publication?.me || application.url,
+      },
+      links: rollLinks(request, roll),
+      ...(await loadRoll(request, roll, limit)),
+    });
+  } catch (error) {
+    console.error("[Podroll] Public page error:", error);
+    response.status(500).type("text/plain").send(error.message);
+  }
+}
+
+/**
+ * Allow any site to frame a page under a Content Security Policy
+ * @param {string} [policy] - Policy set by Indiekit or the host app
+ * @returns {string} Policy with frame-ancestors replaced by `*`
+ */
+function allowFraming(policy = "") {
+  const directives = policy
+    .split(";")
+    .map((directive) => directive.trim())
+    .filter(
+      (directive) => directive && !/^frame-ancestors\b/i.test(directive),
+    );
+
+  return [...directives, "frame-ancestors *"].join("; ");
+}
+
+/**
+ * Public HTML pages controller
+ * Server-rendered podroll, marked up with microformats2: episodes are
+ * h-entry items of an h-feed, podcasts are h-card items.
+ */
+export const pageController = {
+  /**
+   * Render the podroll page
+   * GET /roll
+   * GET /rolls/:name
+   * Query params: limit (recent episodes, default 20)
+   */
+  async page(request, response) {
+    await renderRoll(request, response, {
+      view: "podroll-page",
+      limit: Math.min(parseInt(request.query.limit) || 20, 100),
+    });
+  },
+
+  /**
+   * Render the podroll for embedding in an iframe on other sites
+   * GET /embed
+   * GET /rolls/:name/embed
+   * Query params: episodes (recent episodes to list, default 0)
+   */
+  async embed(request, response) {
+    // Allow framing from any site, keeping the rest of the policy
+    response.removeHeader("X-Frame-Options");
+    response.set(
+      "Content-Security-Policy",
+      allowFraming(response.get("Content-Security-Policy")),
+    );
+
+    await renderRoll(request, response, {
+      view: "podroll-embed",
+      limit: Math.min(Math.max(parseInt(request.query.episodes) || 0, 0), 20),
+    });
+  },
+};
@@ -0,0 +1,83 @@
+import { isNotModified } from "../cache.js";
+import { getExclusions, publicEpisodeExclusions } from "../exclusions.js";
+import { findPublicSource } from "../sources.js";
+
+/**
+ * Per-podcast API controller
+ * Podcasts are addressed by slug, the stable id derived from the feed URL
+ * (see sourceId), and joined with their episodes by feed URL.
+ */
+export const podcastsController = {
+  /**
+   * Get a podcast with episode count and latest episode date
+   * GET /api/podcasts/:slug
+   */
+  async get(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({
+          error: "Database not available",
+        });
+      }
+
+      const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+      if (await isNotModified(request, response, db, maxAge)) {
+        return response.status(304).end();
+      }
+
+      const source = await findPublicSource(
+        db,
+        request.params.slug,
+        await getExclusions(db, application.podrollConfig),
+      );
+
+      if (!source) {
+        return response.status(404).json({ error: "Podcast not found" });
+      }
+
+      const [stats] = await db
+        .collection("podrollEpisodes")
+        .aggregate([
+          {
+            $match: {
+              $and: [
+                { "origin.feedUrl": source.xmlUrl, hidden: { $ne: true } },
+                await publicEpisodeExclusions(db, application.podrollConfig),
+              ],
+            },
+          },
+          { $sort: { published: -1 } },
+          {
+            $group: {
+              _id: null,
+              episodeCount: { $sum: 1 },
+              latestEpisode: { $first: "$published" },
+              // Fallback artwork for sources synced from an aggregator
+              image: { $first: "$image" },
+            },
+          },
+        ])
+        .toArray();
+
+      response.json({
+        slug: source.id,
+        title: source.title,
+        xmlUrl: source.xmlUrl,
+        htmlUrl: source.htmlUrl,
+        category: source.category,
+        description: source.description || null,
+        image: source.image || stats?.image || null,
+        explicit: source.explicit ?? null,
+        episodeCount: stats?.episodeCount || 0,
+        latestEpisode: stats?.latestEpisode || null,
+        episodes: `${request.baseUrl}/api/podcasts/${source.id}/episodes`,
+      });
+    } catch (error) {
+      console.error("[Podroll] Podcast get error:", error);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
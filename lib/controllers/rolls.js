@@ -0,0 +1,88 @@
+import { isNotModified } from "../cache.js";
+import {
+  findRoll,
+  formatRoll,
+  getRollStatus,
+  getRolls,
+} from "../rolls.js";
+
+/**
+ * Named rolls API controller
+ * Rolls are defined in the plugin config. Their episodes, sources and feeds
+ * are served by the episodes and sources controllers.
+ */
+export const rollsController = {
+  /**
+   * List named rolls with their links and sync status
+   * GET /api/rolls
+   */
+  async list(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({
+          error: "Database not available",
+        });
+      }
+
+      const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+      if (await isNotModified(request, response, db, maxAge)) {
+        return response.status(304).end();
+      }
+
+      const rolls = getRolls(application.podrollConfig);
+      const statuses = await db
+        .collection("podrollMeta")
+        .find({ key: "rollStatus" })
+        .toArray();
+      const statusByRoll = new Map(statuses.map((s) => [s.roll, s]));
+
+      response.json({
+        items: rolls.map((roll) =>
+          formatRoll(roll, statusByRoll.get(roll.name), request.baseUrl),
+        ),
+        total: rolls.length,
+      });
+    } catch (error) {
+      console.error("[Podroll] Rolls list error:", error);
+      response.status(500).json({ error: error.message });
+    }
+  },
+
+  /**
+   * Get a named roll with its links and sync status
+   * GET /api/rolls/:name
+   */
+  async get(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({
+          error: "Database not available",
+        });
+      }
+
+      const roll = findRoll(application.podrollConfig, request.params.name);
+
+      if (!roll) {
+        return response.status(404).json({ error: "Roll not found" });
+      }
+
+      const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+      if (await isNotModified(request, response, db, maxAge)) {
+        return response.status(304).end();
+      }
+
+      const status = await getRollStatus(db, roll.name);
+
+      response.json(formatRoll(roll, status, request.baseUrl));
+    } catch (error) {
+      console.error("[Podroll] Roll get error:", error);
+      response.status(500).json({ error: error.message });
+    }
+  },
+};
@@ -1,3 +1,13 @@
+import { isNotModified } from "../cache.js";
+import { getExclusions } from "../exclusions.js";
+import { formatHealth } from "../health.js";
+import { absoluteUrl, etagFor, isFresh } from "../http.js";
+import { setHubLinks } from "../notify.js";
+import { generateOpml } from "../opml.js";
+import { escapeRegex } from "../queries.js";
+import { findRoll, rollSourcesQuery } from "../rolls.js";
+import { publicSourcesQuery } from "../sources.js";
+
 /**
  * Sources (OPML) API controller
  */
@@ -5,6 +15,7 @@ export const sourcesController = {
   /**
    * List podcast sources from OPML
    * GET /api/sources
+   * GET /api/rolls/:name/sources
    * Query params: category (filter by category)
    */
   async list(request, response) {
@@ -18,13 +29,29 @@ export const sourcesController = {
         });
       }
 
+      const maxAge = application.podrollConfig?.cacheMaxAge ?? 60;
+      if (await isNotModified(request, response, db, maxAge)) {
+        return response.status(304).end();
+      }
+
+      const roll = findRoll(application.podrollConfig, request.params.name);
+
+      if (request.params.name && !roll) {
+        return response.status(404).json({ error: "Roll not found" });
+      }
+
       const category = request.query.category || null;
       const collection = db.collection("podrollSources");
 
       // Build query
-      const query = {};
+      const query = {
+        ...publicSourcesQuery(
+          await getExclusions(db, application.podrollConfig),
+        ),
+        ...(roll && rollSourcesQuery(roll)),
+      };
       if (category) {
-        query.category = { $regex: category, $options: "i" };
+        query.category = { $regex: escapeRegex(category), $options: "i" };
       }
 
       // Get sources sorted by order (original OPML order)
@@ -38,10 +65,13 @@ export const sourcesController = {
 
       // Transform for API response
       const items = sources.map((s) => ({
+        slug: s.id,
         title: s.title,
         xmlUrl: s.xmlUrl,
         htmlUrl: s.htmlUrl,
         category: s.category,
+        image: s.image || null,
+        health: formatHealth(s.health),
       }));
 
       response.json({
@@ -54,4 +84,77 @@ export const sourcesController = {
       response.status(500).json({ error: error.message });
     }
   },
+
+  /**
+   * Export podroll sources as OPML 2.0
+   * GET /podroll.opml
+   * GET /rolls/:name/podroll.opml
+   */
+  async opml(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).type("text/plain").send("Database not available");
+      }
+
+      const roll = findRoll(application.podrollConfig, request.params.name);
+
+      if (request.params.name && !roll) {
+        return response.status(404).type("text/plain").send("Roll not found");
+      }
+
+      const exclusions = await getExclusions(db, application.podrollConfig);
+      const [sources, sourcesMeta] = await Promise.all([
+        db
+          .collection("podrollSources")
+          .find({
+            ...publicSourcesQuery(exclusions),
+            ...(roll && rollSourcesQuery(roll)),
+          })
+          .sort({ order: 1 })
+          .toArray(),
+        // Rolls with their own OPML are synced separately
+        db
+          .collection("podrollMeta")
+          .findOne(
+            roll?.opmlUrl
+              ? { key: "rollStatus", roll: roll.name }
+              : { key: "lastSourcesSync" },
+          ),
+      ]);
+
+      const dateModified = sourcesMeta?.timestamp
+        ? new Date(sourcesMeta.timestamp)
+        : undefined;
+
+      const xml = generateOpml(sources, {
+        title: roll
+          ? `${application.podrollConfig?.opmlTitle}: ${roll.title}`
+          : application.podrollConfig?.opmlTitle,
+        dateModified,
+        ownerName: application.name,
+      });
+
+      const fresh = isFresh(request, response, {
+        etag: etagFor(xml),
+        lastModified: dateModified,
+      });
+
+      if (fresh) {
+        return response.status(304).end();
+      }
+
+      setHubLinks(
+        response,
+        application.podrollConfig?.websubHubs,
+        absoluteUrl(request, request.baseUrl + request.path, application.url),
+      );
+      response.type("text/x-opml; charset=utf-8").send(xml);
+    } catch (error) {
+      console.error("[Podroll] OPML export error:", error);
+      response.status(500).type("text/plain").send(error.message);
+    }
+  },
 };
@@ -0,0 +1,207 @@
+import { markContentChanged } from "../cache.js";
+import { fetchFeed } from "../feeds.js";
+import { safeUrl } from "../http.js";
+import { removeSources, sourceId } from "../sources.js";
+
+/**
+ * Subscriptions controller for managing podcast sources in the admin UI
+ */
+export const subscriptionsController = {
+  /**
+   * Render subscriptions list
+   * GET /subscriptions
+   */
+  async list(request, response) {
+    try {
+      const { application } = request.app.locals;
+      const db = application.getPodrollDb();
+
+      let sources = [];
+
+      if (db) {
+        const [documents, counts] = await Promise.all([
+          db
+            .collection("podrollSources")
+            .find({})
+            .sort({ category: 1, order: 1 })
+            .toArray(),
+          db
+            .collection("podrollEpisodes")
+            .aggregate([
+              { $group: { _id: "$origin.feedUrl", count: { $sum: 1 } } },
+            ])
+            .toArray(),
+        ]);
+
+        const episodeCounts = new Map(counts.map((c) => [c._id, c.count]));
+        sources = documents.map((source) => ({
+          ...source,
+          // Links come from OPML and feeds, so only http(s) ones are shown
+          image: safeUrl(source.image),
+          htmlUrl: safeUrl(source.htmlUrl),
+          episodeCount: episodeCounts.get(source.xmlUrl) || 0,
+        }));
+      }
+
+      response.render("subscriptions", {
+        title: response.__("podroll.subscriptions"),
+        parent: {
+          href: application.podrollEndpoint,
+          text: response.__("podroll.title"),
+        },
+        sources,
+      });
+    } catch (error) {
+      console.error("[Podroll] Subscriptions error:", error);
+      response.status(500).render("error", {
+        title: "Error",
+        message: error.message,
+      });
+    }
+  },
+
+  /**
+   * Add a podcast by feed URL
+   * POST /subscriptions
+   */
+  async add(request, response) {
+    const { application } = request.app.locals;
+    const redirectUrl = application.podrollEndpoint + "/subscriptions";
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const xmlUrl = new URL(request.body.xmlUrl).href;
+      const collection = db.collection("podrollSources");
+
+      if (await collection.findOne({ xmlUrl })) {
+        throw new Error("This podcast is already in the podroll");
+      }
+
+      // Discover title and artwork from the feed itself
+      const feed = await fetchFeed(
+        xmlUrl,
+        application.podrollConfig?.fetchTimeout,
+      );
+
+      await collection.insertOne({
+        id: sourceId(xmlUrl),
+        title: feed.title || xmlUrl,
+        xmlUrl,
+        htmlUrl: feed.htmlUrl || "",
+        type: "rss",
+        category: request.body.category || "",
+        categoryLocked: Boolean(request.body.category),
+        description: feed.description || "",
+        image: feed.image || "",
+        local: true,
+        remote: false,
+        hidden: false,
+        order: await collection.countDocuments(),
+        addedAt: new Date(),
+        fetchedAt: new Date(),
+      });
+
+      // Adding a feed again undoes an earlier removal
+      await db
+        .collection("podrollMeta")
+        .updateOne({ key: "removedSources" }, { $pull: { xmlUrls: xmlUrl } });
+      await markContentChanged(db);
+
+      console.log(`[Podroll] Added source ${xmlUrl}`);
+      response.redirect(redirectUrl + "?added=true");
+    } catch (error) {
+      console.error("[Podroll] Add source error:", error);
+      response.redirect(
+        redirectUrl + "?error=" + encodeURIComponent(error.message),
+      );
+    }
+  },
+
+  /**
+   * Update category or visibility of a source
+   * POST /subscriptions/:id
+   */
+  async update(request, response) {
+    const { application } = request.app.locals;
+    const redirectUrl = application.podrollEndpoint + "/subscriptions";
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const { category = "", hidden } = request.body;
+      const collection = db.collection("podrollSources");
+      const source = await collection.findOne({ id: request.params.id });
+
+      if (!source) {
+        throw new Error("Source not found");
+      }
+
+      const categoryChanged = category !== (source.category || "");
+
+      await collection.updateOne(
+        { id: source.id },
+        {
+          $set: {
+            category,
+            // Keep an edited category when the remote OPML is synced again
+            ...(categoryChanged && { categoryLocked: true }),
+            hidden: hidden === "true",
+            updatedAt: new Date(),
+          },
+        },
+      );
+
+      await markContentChanged(db);
+      response.redirect(redirectUrl + "?updated=true");
+    } catch (error) {
+      console.error("[Podroll] Update source error:", error);
+      response.redirect(
+        redirectUrl + "?error=" + encodeURIComponent(error.message),
+      );
+    }
+  },
+
+  /**
+   * Remove a source
+   * POST /subscriptions/:id/delete
+   */
+  async remove(request, response) {
+    const { application } = request.app.locals;
+    const redirectUrl = application.podrollEndpoint + "/subscriptions";
+
+    try {
+      const db = application.getPodrollDb();
+
+      if (!db) {
+        return response.status(503).json({ error: "Database not available" });
+      }
+
+      const collection = db.collection("podrollSources");
+      const source = await collection.findOne({ id: request.params.id });
+
+      if (!source) {
+        throw new Error("Source not found");
+      }
+
+      await removeSources(db, [source]);
+      await markContentChanged(db);
+
+      console.log(`[Podroll] Removed source ${source.xmlUrl}`);
+      response.redirect(redirectUrl + "?removed=true");
+    } catch (error) {
+      console.error("[Podroll] Remove source error:", error);
+      response.redirect(
+        redirectUrl + "?error=" + encodeURIComponent(error.message),
+      );
+    }
+  },
+};
@@ -0,0 +1,172 @@
+import { escapeRegex } from "./queries.js";
+
+// Rule lists of an exclusion config
+export const exclusionRules = ["feedUrls", "categories", "keywords", "labels"];
+
+/**
+ * Normalise exclusion rules, dropping empty entries
+ * @param {object} [exclude] - Exclusion rules
+ * @param {Array} [exclude.feedUrls] - Podcast feed URLs
+ * @param {Array} [exclude.categories] - Source categories
+ * @param {Array} [exclude.keywords] - Words in podcast or episode titles
+ * @param {Array} [exclude.labels] - Aggregator labels on episodes
+ * @returns {object} Exclusion rules with every list present
+ */
+export function normaliseExclusions(exclude = {}) {
+  return Object.fromEntries(
+    exclusionRules.map((rule) => [
+      rule,
+      [exclude[rule] || []]
+        .flat()
+        .map((value) => String(value).trim())
+        .filter(Boolean),
+    ]),
+  );
+}
+
+/**
+ * Get effective exclusion rules
+ * Rules saved in the dashboard settings replace the plugin config.
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin config
+ * @returns {Promise<object>} Exclusion rules
+ */
+export async function getExclusions(db, options) {
+  const settings = await db
+    .collection("podrollMeta")
+    .findOne({ key: "settings" }, { projection: { exclude: 1 } });
+
+  return normaliseExclusions(settings?.exclude || options?.exclude);
+}
+
+/**
+ * Check whether any exclusion rule is set
+ * @param {object} exclusions - Exclusion rules
+ * @returns {boolean} True if any rule is set
+ */
+function hasExclusions(exclusions) {
+  return exclusionRules.some((rule) => exclusions[rule].length > 0);
+}
+
+/**
+ * Case-insensitive patterns for exclusion values
+ * @param {object} exclusions - Exclusion rules
+ * @returns {object} Category, keyword and label patterns
+ */
+function exclusionPatterns(exclusions) {
+  return {
+    categories: exclusions.categories.map(
+      (category) => new RegExp(`^${escapeRegex(category)}$`, "i"),
+    ),
+    keywords: exclusions.keywords.map(
+      (keyword) => new RegExp(escapeRegex(keyword), "i"),
+    ),
+    // Plain labels, or greader label tags of any user
+    labels: exclusions.labels.map(
+      (label) => new RegExp(`^(user/[^/]+/label/)?${escapeRegex(label)}$`, "i"),
+    ),
+  };
+}
+
+/**
+ * Query matching sources not excluded by the rules
+ * @param {object} exclusions - Exclusion rules
+ * @returns {object} MongoDB query
+ */
+export function sourceExclusionQuery(exclusions) {
+  if (!hasExclusions(exclusions)) return {};
+
+  const { categories, keywords } = exclusionPatterns(exclusions);
+
+  return {
+    $nor: [
+      { xmlUrl: { $in: exclusions.feedUrls } },
+      { category: { $in: categories } },
+      { title: { $in: keywords } },
+    ],
+  };
+}
+
+/**
+ * Feed URLs of excluded sources
+ * Sources are excluded by feed URL, category or title keyword.
+ * @param {object} db - MongoDB database instance
+ * @param {object} exclusions - Exclusion rules
+ * @returns {Promise<Array>} Feed URLs
+ */
+async function excludedFeedUrls(db, exclusions) {
+  const { categories, keywords } = exclusionPatterns(exclusions);
+  const sources =
+    categories.length > 0 || keywords.length > 0
+      ? await db
+          .collection("podrollSources")
+          .find(
+            {
+              $or: [
+                { category: { $in: categories } },
+                { title: { $in: keywords } },
+              ],
+            },
+            { projection: { xmlUrl: 1 } },
+          )
+          .toArray()
+      : [];
+
+  return [
+    ...new Set([...exclusions.feedUrls, ...sources.map((s) => s.xmlUrl)]),
+  ];
+}
+
+/**
+ * Query matching episodes not excluded by the rules
+ * Episodes of excluded sources, with an excluded label, or with a keyword
+ * in their title or podcast title are excluded.
+ * @param {object} db - MongoDB database instance
+ * @param {object} exclusions - Exclusion rules
+ * @returns {Promise<object>} MongoDB query
+ */
+async function episodeExclusionQuery(db, exclusions) {
+  if (!hasExclusions(exclusions)) return {};
+
+  const { keywords, labels } = exclusionPatterns(exclusions);
+
+  return {
+    $nor: [
+      { "origin.feedUrl": { $in: await excludedFeedUrls(db, exclusions) } },
+      { categories: { $in: labels } },
+      { title: { $in: keywords } },
+      { "origin.title": { $in: keywords } },
+    ],
+  };
+}
+
+/**
+ * Get the episode exclusion query for public output
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin config
+ * @returns {Promise<object>} MongoDB query
+ */
+export async function publicEpisodeExclusions(db, options) {
+  return episodeExclusionQuery(db, await getExclusions(db, options));
+}
+
+/**
+ * Create a filter for episodes fetched during sync
+ * @param {object} db - MongoDB database instance
+ * @param {object} exclusions - Exclusion rules
+ * @returns {Promise<Function>} Predicate, true if the episode is excluded
+ */
+export async function episodeExclusionFilter(db, exclusions) {
+  if (!hasExclusions(exclusions)) return () => false;
+
+  const { keywords, labels } = exclusionPatterns(exclusions);
+  const feedUrls = new Set(await excludedFeedUrls(db, exclusions));
+  const matches = (patterns, value) =>
+    Boolean(value) && patterns.some((pattern) => pattern.test(value));
+
+  return (episode) =>
+    feedUrls.has(episode.origin?.feedUrl) ||
+    (episode.categories || []).some((label) => matches(labels, label)) ||
+    matches(keywords, episode.title) ||
+    matches(keywords, episode.origin?.title);
+}
@@ -0,0 +1,267 @@
+import { createHash } from "node:crypto";
+import { promisify } from "node:util";
+import { parseString } from "xml2js";
+
+import { fetchWithTimeout } from "./fetch.js";
+import {
+  isImage,
+  parseDuration,
+  parseExplicit,
+  parseNumber,
+} from "./metadata.js";
+
+const parseXml = promisify(parseString);
+
+/**
+ * Normalise an xml2js node that may be a single value or an array
+ * @param {*} node - xml2js node
+ * @returns {Array} Array of nodes
+ */
+function toArray(node) {
+  if (node === undefined || node === null) return [];
+  return Array.isArray(node) ? node : [node];
+}
+
+/**
+ * Get text content of an xml2js node
+ * @param {*} node - xml2js node (string or object with character data)
+ * @returns {string} Text content
+ */
+function text(node) {
+  if (Array.isArray(node)) return text(node[0]);
+  if (typeof node === "string") return node.trim();
+  if (node && typeof node._ === "string") return node._.trim();
+  return "";
+}
+
+/**
+ * Find a link in an Atom link list
+ * @param {*} links - Atom link node(s)
+ * @param {string} rel - Link relation
+ * @returns {object|undefined} Link attributes
+ */
+function atomLink(links, rel) {
+  return toArray(links)
+    .map((link) => (typeof link === "string" ? { href: link } : link.$ || {}))
+    .find((link) => (link.rel || "alternate") === rel);
+}
+
+/**
+ * Parse a date, ignoring invalid values
+ * @param {string} value - Date string
+ * @returns {Date|null} Parsed date
+ */
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Find artwork of an RSS item or channel
+ * @param {object} node - xml2js RSS item or channel
+ * @returns {string} Image URL
+ */
+function rssImage(node) {
+  const media = toArray(node["media:content"])
+    .map((content) => content.$ || {})
+    .find((content) => isImage(content.type, content.medium));
+
+  return (
+    toArray(node["itunes:image"])[0]?.$?.href ||
+    toArray(node["media:thumbnail"])[0]?.$?.url ||
+    media?.url ||
+    ""
+  );
+}
+
+/**
+ * Get Podcasting 2.0 transcript links of an RSS item
+ * @param {object} item - xml2js RSS item
+ * @returns {Array} Transcripts
+ */
+function rssTranscripts(item) {
+  return toArray(item["podcast:transcript"])
+    .map((transcript) => transcript.$ || {})
+    .filter((transcript) => transcript.url)
+    .map((transcript) => ({
+      url: transcript.url,
+      type: transcript.type || "",
+      language: transcript.language || "",
+      rel: transcript.rel || "",
+    }));
+}
+
+/**
+ * Normalise an RSS item
+ * @param {object} item - xml2js RSS item
+ * @returns {object} Feed entry
+ */
+function rssEntry(item) {
+  const enc = toArray(item.enclosure)[0]?.$;
+  const chapters = toArray(item["podcast:chapters"])[0]?.$;
+
+  return {
+    guid: text(item.guid) || text(item.link) || enc?.url || "",
+    title: text(item.title) || text(item["itunes:title"]),
+    url: text(item.link),
+    published: parseDate(text(item.pubDate) || text(item["dc:date"])),
+    content:
+      text(item["content:encoded"]) ||
+      text(item.description) ||
+      text(item["itunes:summary"]),
+    author:
+      text(item["itunes:author"]) || text(item["dc:creator"]) || text(item.author),
+    enclosure: enc?.url
+      ? { url: enc.url, type: enc.type, length: enc.length }
+      : null,
+    image: rssImage(item),
+    duration: parseDuration(text(item["itunes:duration"])),
+    season: parseNumber(
+      text(item["itunes:season"]) || text(item["podcast:season"]),
+    ),
+    episode: parseNumber(
+      text(item["itunes:episode"]) || text(item["podcast:episode"]),
+    ),
+    explicit: parseExplicit(text(item["itunes:explicit"])),
+    chapters: chapters?.url
+      ? {
+          url: chapters.url,
+          type: chapters.type || "application/json+chapters",
+        }
+      : null,
+    transcripts: rssTranscripts(item),
+    categories: toArray(item.category).map(text).filter(Boolean),
+  };
+}
+
+/**
+ * Normalise an Atom entry
+ * @param {object} entry - xml2js Atom entry
+ * @returns {object} Feed entry
+ */
+function atomEntry(entry) {
+  const enc = atomLink(entry.link, "enclosure");
+
+  return {
+    guid: text(entry.id) || atomLink(entry.link, "alternate")?.href || "",
+    title: text(entry.title),
+    url: atomLink(entry.link, "alternate")?.href || "",
+    published: parseDate(text(entry.published) || text(entry.updated)),
+    content: text(entry.content) || text(entry.summary),
+    author: text(toArray(entry.author)[0]?.name),
+    enclosure: enc?.href
+      ? { url: enc.href, type: enc.type, length: enc.length }
+      : null,
+    image: toArray(entry["media:thumbnail"])[0]?.$?.url || "",
+    categories: toArray(entry.category)
+      .map((category) => category.$?.term || text(category))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Parse an RSS 2.0 (including iTunes podcast) or Atom feed
+ * @param {string} xml - Feed XML
+ * @returns {Promise<object>} Feed title, website URL, description, artwork,
+ * explicit flag and entries
+ */
+export async function parseFeed(xml) {
+  const result = await parseXml(xml, { explicitArray: false });
+
+  if (result?.rss?.channel) {
+    const { channel } = result.rss;
+    return {
+      title: text(channel.title),
+      htmlUrl: toArray(channel.link).map(text).find(Boolean) || "",
+      description: text(channel.description) || text(channel["itunes:summary"]),
+      image: rssImage(channel) || text(toArray(channel.image)[0]?.url),
+      explicit: parseExplicit(text(channel["itunes:explicit"])),
+      entries: toArray(channel.item).map(rssEntry),
+    };
+  }
+
+  if (result?.feed) {
+    const { feed } = result;
+    return {
+      title: text(feed.title),
+      htmlUrl: atomLink(feed.link, "alternate")?.href || "",
+      description: text(feed.subtitle),
+      image: text(feed.logo) || text(feed.icon),
+      explicit: null,
+      entries: toArray(feed.entry).map(atomEntry),
+    };
+  }
+
+  throw new Error("Unsupported feed format");
+}
+
+/**
+ * Fetch and parse a podcast feed
+ * @param {string} url - Feed URL
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<object>} Parsed feed
+ */
+export async function fetchFeed(url, timeout) {
+  const response = await fetchWithTimeout(
+    url,
+    {
+      headers: {
+        Accept:
+          "application/rss+xml, application/atom+xml, application/xml, text/xml",
+      },
+    },
+    timeout,
+  );
+
+  return parseFeed(await response.text());
+}
+
+/**
+ * Transform a feed entry to our episode schema
+ * @param {object} entry - Entry from parseFeed
+ * @param {object} source - Podroll source the entry belongs to
+ * @param {object} feed - Parsed feed
+ * @returns {object} Transformed episode
+ */
+export function transformFeedEntry(entry, source, feed) {
+  const guid = entry.guid || entry.url;
+  const id = createHash("sha1")
+    .update(`${source.xmlUrl}\n${guid}`)
+    .digest("hex");
+
+  return {
+    id,
+    guid,
+    title: entry.title || "Untitled Episode",
+    url: entry.url,
+    published: entry.published || new Date(),
+    content: entry.content,
+    author: entry.author,
+    enclosure: entry.enclosure
+      ? {
+          url: entry.enclosure.url,
+          type: entry.enclosure.type || "audio/mpeg",
+          length: entry.enclosure.length
+            ? parseInt(entry.enclosure.length, 10) || 0
+            : 0,
+        }
+      : null,
+    // Episodes without their own artwork use the podcast artwork
+    image: entry.image || feed.image || source.image || "",
+    duration: entry.duration ?? null,
+    season: entry.season ?? null,
+    episode: entry.episode ?? null,
+    explicit: entry.explicit ?? feed.explicit ?? null,
+    chapters: entry.chapters ?? null,
+    transcripts: entry.transcripts ?? [],
+    origin: {
+      streamId: `feed/${source.xmlUrl}`,
+      title: source.title || feed.title,
+      htmlUrl: source.htmlUrl || feed.htmlUrl,
+      feedUrl: source.xmlUrl,
+    },
+    categories: entry.categories,
+    fetchedAt: new Date(),
+  };
+}
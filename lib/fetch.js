@@ -0,0 +1,50 @@
+const userAgent = "Indiekit-Podroll/1.0";
+
+/**
+ * Fetch a URL with a timeout, throwing on non-2xx responses
+ * With `redirect: "manual"`, redirect responses are returned instead, so the
+ * caller can read their status and Location.
+ * @param {string} url - URL to fetch
+ * @param {object} [init] - Fetch options
+ * @param {number} [timeout] - Fetch timeout in ms
+ * @returns {Promise<Response>} Fetch response
+ */
+export async function fetchWithTimeout(url, init = {}, timeout = 15_000) {
+  const response = await fetch(url, {
+    ...init,
+    signal: AbortSignal.timeout(timeout),
+    headers: {
+      "User-Agent": userAgent,
+      ...init.headers,
+    },
+  });
+
+  const isRedirect = response.status >= 300 && response.status < 400;
+
+  if (!response.ok && !(init.redirect === "manual" && isRedirect)) {
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Run an async function over items, a few at a time
+ * Bounds concurrent requests when fetching or checking many feeds.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Items processed at once
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} Settled results, in the order of the items
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = [];
+
+  for (let index = 0; index < items.length; index += concurrency) {
+    const batch = items.slice(index, index + concurrency);
+    results.push(...(await Promise.allSettled(batch.map(fn))));
+  }
+
+  return results;
+}
@@ -0,0 +1,329 @@
+import { sourceExclusionQuery } from "./exclusions.js";
+import { parseFeed } from "./feeds.js";
+import { fetchWithTimeout, mapWithConcurrency } from "./fetch.js";
+import { getEffectiveSyncOptions } from "./sync.js";
+
+// Health flags, most serious first
+export const healthFlags = ["error", "brokenEnclosure", "redirected", "dormant"];
+
+// Flags meaning the podcast can't be listened to
+const errorFlags = new Set(["error", "brokenEnclosure"]);
+
+// Redirects telling clients to update their URL
+const permanentRedirects = new Set([301, 308]);
+
+const feedHeaders = {
+  Accept: "application/rss+xml, application/atom+xml, application/xml, text/xml",
+};
+
+/**
+ * Fetch a feed, noting a permanent redirect to a new URL
+ * @param {string} url - Feed URL
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<object>} Parsed feed, and the new URL if the feed moved
+ */
+async function checkFeed(url, timeout) {
+  let response = await fetchWithTimeout(
+    url,
+    { headers: feedHeaders, redirect: "manual" },
+    timeout,
+  );
+  let redirectedTo = null;
+
+  if (!response.ok) {
+    const location = response.headers.get("location");
+
+    if (!location) {
+      throw new Error(`HTTP ${response.status} without a Location`);
+    }
+
+    const target = new URL(location, url).href;
+    if (permanentRedirects.has(response.status)) {
+      redirectedTo = target;
+    }
+
+    response = await fetchWithTimeout(target, { headers: feedHeaders }, timeout);
+  }
+
+  return { feed: await parseFeed(await response.text()), redirectedTo };
+}
+
+/**
+ * Check that an enclosure can be downloaded
+ * Servers that don't allow HEAD are asked for the first byte instead.
+ * @param {string} url - Enclosure URL
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<object>} HTTP status, and an error message if broken
+ */
+async function checkEnclosure(url, timeout) {
+  try {
+    const response = await fetchWithTimeout(url, { method: "HEAD" }, timeout);
+    return { status: response.status, error: null };
+  } catch (error) {
+    if (![403, 405, 501].includes(error.status)) {
+      return { status: error.status || null, error: error.message };
+    }
+  }
+
+  try {
+    const response = await fetchWithTimeout(
+      url,
+      { headers: { Range: "bytes=0-0" } },
+      timeout,
+    );
+    await response.body?.cancel();
+    return { status: response.status, error: null };
+  } catch (error) {
+    return { status: error.status || null, error: error.message };
+  }
+}
+
+/**
+ * Get the newest episode date and enclosure of each stored podcast
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<Map>} Latest episode by feed URL
+ */
+async function latestStoredEpisodes(db) {
+  const latest = await db
+    .collection("podrollEpisodes")
+    .aggregate([
+      { $match: { "origin.feedUrl": { $exists: true, $ne: "" } } },
+      { $sort: { published: -1 } },
+      {
+        $group: {
+          _id: "$origin.feedUrl",
+          published: { $first: "$published" },
+          enclosureUrl: { $first: "$enclosure.url" },
+        },
+      },
+    ])
+    .toArray();
+
+  return new Map(latest.map((episode) => [episode._id, episode]));
+}
+
+/**
+ * Check the health of one source
+ * @param {object} source - Source document
+ * @param {object|undefined} stored - Latest stored episode of the source
+ * @param {object} options - Sync options
+ * @returns {Promise<object>} Health document
+ */
+async function checkSource(source, stored, options) {
+  const { fetchTimeout, healthDormantDays } = options;
+  const health = {
+    checkedAt: new Date(),
+    lastEpisodeAt: null,
+    redirectedTo: null,
+    error: null,
+    enclosure: null,
+    flags: [],
+  };
+  let newest = null;
+
+  try {
+    const { feed, redirectedTo } = await checkFeed(source.xmlUrl, fetchTimeout);
+    health.redirectedTo = redirectedTo;
+    newest = feed.entries
+      .filter((entry) => entry.published)
+      .sort((a, b) => b.published - a.published)[0];
+  } catch (error) {
+    health.error = error.message;
+  }
+
+  // Retention may have deleted older episodes, so keep the latest date seen
+  const dates = [
+    newest?.published,
+    stored?.published,
+    source.health?.lastEpisodeAt,
+  ]
+    .filter(Boolean)
+    .map((date) => new Date(date));
+  health.lastEpisodeAt =
+    dates.length > 0 ? new Date(Math.max(...dates)) : null;
+
+  const enclosureUrl = newest?.enclosure?.url || stored?.enclosureUrl;
+  if (enclosureUrl) {
+    health.enclosure = {
+      url: enclosureUrl,
+      ...(await checkEnclosure(enclosureUrl, fetchTimeout)),
+    };
+  }
+
+  const dormantSince = Date.now() - healthDormantDays * 86_400_000;
+  const isFlagged = {
+    error: Boolean(health.error),
+    brokenEnclosure: Boolean(health.enclosure?.error),
+    redirected: Boolean(health.redirectedTo),
+    dormant:
+      healthDormantDays > 0 &&
+      Boolean(health.lastEpisodeAt) &&
+      health.lastEpisodeAt.getTime() < dormantSince,
+  };
+  health.flags = healthFlags.filter((flag) => isFlagged[flag]);
+
+  return health;
+}
+
+/**
+ * Check the health of every source
+ * Each feed is fetched for its latest episode and a permanent redirect, and
+ * the newest enclosure is checked with a HEAD request, a few sources at a
+ * time. Results are stored as `health` on each source, with a summary in
+ * podrollMeta (`key: "lastHealthCheck"`).
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @returns {Promise<object>} Number of sources checked and flagged
+ */
+export async function checkSourceHealth(db, options) {
+  const { fetchConcurrency } = options;
+  const startedAt = new Date();
+  const collection = db.collection("podrollSources");
+
+  // Excluded podcasts aren't synced, so they aren't checked either
+  const [sources, stored] = await Promise.all([
+    collection
+      .find({
+        xmlUrl: { $exists: true, $ne: "" },
+        ...sourceExclusionQuery(options.exclude),
+      })
+      .toArray(),
+    latestStoredEpisodes(db),
+  ]);
+
+  console.log(`[Podroll] Checking health of ${sources.length} sources...`);
+
+  const flagged = Object.fromEntries(healthFlags.map((flag) => [flag, 0]));
+  const updates = [];
+
+  const results = await mapWithConcurrency(
+    sources,
+    fetchConcurrency,
+    (source) => checkSource(source, stored.get(source.xmlUrl), options),
+  );
+
+  for (const [index, result] of results.entries()) {
+    if (result.status === "rejected") continue;
+
+    const health = result.value;
+    for (const flag of health.flags) {
+      flagged[flag]++;
+    }
+
+    updates.push({
+      updateOne: {
+        filter: { xmlUrl: sources[index].xmlUrl },
+        update: { $set: { health } },
+      },
+    });
+  }
+
+  if (updates.length > 0) {
+    await collection.bulkWrite(updates, { ordered: false });
+  }
+
+  const finishedAt = new Date();
+  const summary = { checked: sources.length, flagged };
+
+  await db.collection("podrollMeta").updateOne(
+    { key: "lastHealthCheck" },
+    {
+      $set: {
+        key: "lastHealthCheck",
+        timestamp: finishedAt,
+        durationMs: finishedAt - startedAt,
+        ...summary,
+      },
+    },
+    { upsert: true },
+  );
+
+  console.log(
+    `[Podroll] Checked ${sources.length} sources: ${healthFlags.map((flag) => `${flagged[flag]} ${flag}`).join(", ")}`,
+  );
+
+  return summary;
+}
+
+/**
+ * Format a source's health for API responses
+ * @param {object} [health] - Health document of the source
+ * @returns {object|null} Status ("ok", "warning" or "error"), flags, latest
+ * episode date, new feed URL and check date; null if not checked yet
+ */
+export function formatHealth(health) {
+  if (!health) return null;
+
+  const flags = health.flags || [];
+  let status = "ok";
+  if (flags.some((flag) => errorFlags.has(flag))) {
+    status = "error";
+  } else if (flags.length > 0) {
+    status = "warning";
+  }
+
+  return {
+    status,
+    flags,
+    lastEpisode: health.lastEpisodeAt || null,
+    redirectedTo: health.redirectedTo || null,
+    checkedAt: health.checkedAt,
+  };
+}
+
+/**
+ * Start background health checks
+ * The last check is recorded in the database, so restarts and other
+ * processes sharing it don't check again before `healthInterval` has passed.
+ * @param {object} Indiekit - Indiekit instance
+ * @param {object} options - Plugin config
+ * @returns {Function} Stops health checks
+ */
+export function startHealthChecks(Indiekit, options) {
+  const { healthInterval } = options;
+  let timer;
+  let stopped = false;
+
+  const schedule = (delay) => {
+    if (stopped) return;
+    timer = setTimeout(tick, delay);
+    timer.unref?.();
+  };
+
+  const tick = async () => {
+    const db = Indiekit.database;
+    let delay = healthInterval;
+
+    try {
+      if (db) {
+        const last = await db
+          .collection("podrollMeta")
+          .findOne({ key: "lastHealthCheck" });
+        const dueIn = last?.timestamp
+          ? new Date(last.timestamp).getTime() + healthInterval - Date.now()
+          : 0;
+
+        if (dueIn > 0) {
+          delay = dueIn;
+        } else {
+          await checkSourceHealth(
+            db,
+            await getEffectiveSyncOptions(db, options),
+          );
+        }
+      }
+    } catch (error) {
+      console.error("[Podroll] Health check error:", error.message);
+    }
+
+    schedule(delay);
+  };
+
+  // First check once the startup sync had time to run
+  schedule(60_000);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+}
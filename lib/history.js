@@ -0,0 +1,122 @@
+/**
+ * Get error message from a sync result, if any part failed
+ * @param {object} result - Result of runSync
+ * @returns {string|null} Error message
+ */
+function syncError(result) {
+  const errors = [];
+  if (result.error) errors.push(result.error);
+  if (result.episodes?.success === false) {
+    errors.push(`Episodes: ${result.episodes.error}`);
+  }
+  if (result.sources?.success === false) {
+    errors.push(`Sources: ${result.sources.error}`);
+  }
+
+  return errors.length > 0 ? errors.join("; ") : null;
+}
+
+/**
+ * Record a sync run in the history log and update sync status
+ * The log keeps the most recent `limit` runs.
+ * @param {object} db - MongoDB database instance
+ * @param {object} result - Result of runSync
+ * @param {object} run - Run details
+ * @param {string} run.trigger - What started the run (startup, scheduled, manual…)
+ * @param {Date} run.startedAt - Start time
+ * @param {number} [limit] - Number of runs to keep
+ * @returns {Promise<object>} Log entry
+ */
+export async function recordSyncRun(db, result, { trigger, startedAt }, limit = 50) {
+  const error = syncError(result);
+  const finishedAt = new Date();
+  const entry = {
+    trigger,
+    startedAt,
+    finishedAt,
+    durationMs: finishedAt - startedAt,
+    success: !error,
+    error,
+    episodes: {
+      total: result.episodes?.total || 0,
+      inserted: result.episodes?.inserted || 0,
+      updated: result.episodes?.updated || 0,
+      pruned: result.episodes?.pruned || 0,
+    },
+    sources: {
+      total: result.sources?.total || 0,
+      skipped: Boolean(result.sources?.skipped),
+    },
+  };
+
+  const log = db.collection("podrollSyncLog");
+  await log.insertOne(entry);
+
+  // Cap the log to the most recent runs
+  const stale = await log
+    .find({}, { projection: { _id: 1 } })
+    .sort({ startedAt: -1 })
+    .skip(limit)
+    .toArray();
+  if (stale.length > 0) {
+    await log.deleteMany({ _id: { $in: stale.map((s) => s._id) } });
+  }
+
+  await db.collection("podrollMeta").updateOne(
+    { key: "syncStatus" },
+    error
+      ? {
+          $set: { key: "syncStatus", lastError: error, lastErrorAt: finishedAt },
+          $inc: { consecutiveFailures: 1 },
+        }
+      : {
+          $set: {
+            key: "syncStatus",
+            lastSuccessAt: finishedAt,
+            consecutiveFailures: 0,
+          },
+        },
+    { upsert: true },
+  );
+
+  return entry;
+}
+
+/**
+ * Get the time until which scheduled syncs back off after failures
+ * The wait doubles with each failure in a row, starting at one interval.
+ * @param {object|null} syncStatus - syncStatus document
+ * @param {object} options - Sync options
+ * @param {number} options.syncInterval - Sync interval in ms
+ * @param {number} options.maxSyncBackoff - Longest wait in ms
+ * @returns {Date|null} End of the backoff, null after a successful sync
+ */
+export function syncBackoffUntil(syncStatus, { syncInterval, maxSyncBackoff }) {
+  const failures = syncStatus?.consecutiveFailures || 0;
+
+  if (failures === 0 || !syncStatus.lastErrorAt) {
+    return null;
+  }
+
+  const delay = Math.min(
+    syncInterval * 2 ** Math.min(failures - 1, 16),
+    maxSyncBackoff,
+  );
+
+  return new Date(new Date(syncStatus.lastErrorAt).getTime() + delay);
+}
+
+/**
+ * Get recent sync runs, newest first
+ * @param {object} db - MongoDB database instance
+ * @param {number} [limit] - Number of runs
+ * @returns {Promise<Array>} Log entries
+ */
+export async function getSyncHistory(db, limit = 20) {
+  return db
+    .collection("podrollSyncLog")
+    .find({})
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
@@ -0,0 +1,89 @@
+import { createHash } from "node:crypto";
+
+/**
+ * Build a strong ETag from a response body
+ * @param {string} body - Response body
+ * @returns {string} Quoted ETag value
+ */
+export function etagFor(body) {
+  const hash = createHash("sha1").update(body).digest("base64url");
+  return `"${hash}"`;
+}
+
+/**
+ * Set validator headers and check whether the client copy is still fresh
+ * @param {object} request - Express request
+ * @param {object} response - Express response
+ * @param {object} validators - Cache validators
+ * @param {string} [validators.etag] - ETag for the representation
+ * @param {Date} [validators.lastModified] - Last modification date
+ * @returns {boolean} True if a 304 Not Modified can be sent
+ */
+export function isFresh(request, response, { etag, lastModified }) {
+  if (etag) {
+    response.set("ETag", etag);
+  }
+
+  if (lastModified instanceof Date && !Number.isNaN(lastModified.getTime())) {
+    response.set("Last-Modified", lastModified.toUTCString());
+  }
+
+  return request.fresh;
+}
+
+/**
+ * Build a link to another page of the current listing
+ * @param {object} request - Express request
+ * @param {object} cursor - before or after cursor param
+ * @returns {string} Relative URL keeping the other query params
+ */
+export function pageLink(request, cursor) {
+  const params = new URLSearchParams(request.query);
+  params.delete("before");
+  params.delete("after");
+  params.delete("offset");
+
+  for (const [key, value] of Object.entries(cursor)) {
+    params.set(key, value);
+  }
+
+  return `${request.baseUrl}${request.path}?${params}`;
+}
+
+/**
+ * Build an absolute URL on this site
+ * Uses the configured application URL, or the request's own origin when
+ * none is set.
+ * @param {object} request - Express request
+ * @param {string} path - Path, or URL relative to the site
+ * @param {string} [baseUrl] - Application URL
+ * @returns {string} Absolute URL
+ */
+export function absoluteUrl(request, path, baseUrl) {
+  return new URL(path, baseUrl || `${request.protocol}://${request.get("host")}`)
+    .href;
+}
+
+/**
+ * Allow only http and https links from feeds and aggregators
+ * Anything else, e.g. a javascript: URL, could run script when clicked.
+ * @param {string} [url] - URL
+ * @returns {string} URL, or an empty string if it isn't http(s)
+ */
+export function safeUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === "http:" || protocol === "https:" ? url : "";
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Convert a date to an ISO string for the Nunjucks date filter
+ * @param {*} date - Date, or a value that is passed through
+ * @returns {*} ISO string, or the value unchanged
+ */
+export function toISO(date) {
+  return date instanceof Date ? date.toISOString() : date;
+}
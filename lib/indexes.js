@@ -0,0 +1,51 @@
+let created = false;
+
+/**
+ * Indexes of each collection, used by the public API and sync
+ */
+export const collectionIndexes = {
+  podrollEpisodes: [
+    { key: { id: 1 } },
+    { key: { published: -1, id: -1 } },
+    { key: { "origin.feedUrl": 1, published: -1 } },
+    { key: { categories: 1 } },
+    { key: { listened: 1, published: -1 } },
+    { key: { starred: 1, published: -1 } },
+    { key: { recommended: 1, recommendedAt: -1 } },
+    { key: { rolls: 1, published: -1 } },
+    {
+      key: { title: "text", content: "text", author: "text" },
+      name: "podroll_text",
+      weights: { title: 10, author: 5, content: 1 },
+    },
+  ],
+  podrollSources: [
+    { key: { id: 1 } },
+    { key: { xmlUrl: 1 } },
+    { key: { category: 1, order: 1 } },
+    { key: { rolls: 1 } },
+  ],
+  podrollSyncLog: [{ key: { startedAt: -1 } }],
+};
+
+/**
+ * Create indexes used by the public API and sync
+ * Runs once per process; failures are logged, not thrown.
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+export async function createIndexes(db) {
+  if (created || !db) return;
+  created = true;
+
+  try {
+    await Promise.all(
+      Object.entries(collectionIndexes).map(([name, indexes]) =>
+        db.collection(name).createIndexes(indexes),
+      ),
+    );
+  } catch (error) {
+    created = false;
+    console.error("[Podroll] Could not create indexes:", error.message);
+  }
+}
@@ -0,0 +1,67 @@
+import { randomUUID } from "node:crypto";
+import { hostname } from "node:os";
+
+// Fixed _id, so a second lock document can never be inserted
+const LOCK_ID = "syncLock";
+
+/**
+ * Take the sync lock shared by all processes using the database
+ * The lock is a podrollMeta document that expires after `timeout`, so a
+ * process that dies mid-sync doesn't block syncing for good.
+ * @param {object} db - MongoDB database instance
+ * @param {number} timeout - Lock lifetime in ms
+ * @returns {Promise<string|null>} Lock owner id, null if another sync holds it
+ */
+export async function acquireSyncLock(db, timeout) {
+  const owner = randomUUID();
+  const now = new Date();
+
+  try {
+    // Matches a free or expired lock; otherwise the upsert hits the _id
+    await db.collection("podrollMeta").updateOne(
+      { _id: LOCK_ID, expiresAt: { $lte: now } },
+      {
+        $set: {
+          key: LOCK_ID,
+          owner,
+          host: hostname(),
+          pid: process.pid,
+          lockedAt: now,
+          expiresAt: new Date(now.getTime() + timeout),
+        },
+      },
+      { upsert: true },
+    );
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  return owner;
+}
+
+/**
+ * Release the sync lock, if still held by this owner
+ * @param {object} db - MongoDB database instance
+ * @param {string} owner - Lock owner id from acquireSyncLock
+ * @returns {Promise<void>}
+ */
+export async function releaseSyncLock(db, owner) {
+  await db
+    .collection("podrollMeta")
+    .updateOne(
+      { _id: LOCK_ID, owner },
+      { $set: { owner: null, expiresAt: new Date(0) } },
+    );
+}
+
+/**
+ * Get the current sync lock, if held
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<object|null>} Lock document
+ */
+export async function getSyncLock(db) {
+  return db
+    .collection("podrollMeta")
+    .findOne({ _id: LOCK_ID, expiresAt: { $gt: new Date() } });
+}
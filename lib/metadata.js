@@ -0,0 +1,67 @@
+/**
+ * Normalise an episode duration to seconds
+ * Accepts seconds ("3723", "3723.5") and clock times ("62:03", "1:02:03"),
+ * as used by itunes:duration.
+ * @param {string|number} value - Duration
+ * @returns {number|null} Duration in seconds
+ */
+export function parseDuration(value) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const parts = String(value).trim().split(":");
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) {
+    return null;
+  }
+
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  return Math.round(seconds);
+}
+
+/**
+ * Format a duration in seconds as h:mm:ss or m:ss
+ * @param {number} seconds - Duration
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const rest = String(seconds % 60).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}`
+    : `${minutes}:${rest}`;
+}
+
+/**
+ * Parse an explicit flag
+ * @param {string|boolean} value - itunes:explicit value
+ * @returns {boolean|null} Explicit flag, null if unknown
+ */
+export function parseExplicit(value) {
+  if (typeof value === "boolean") return value;
+
+  const flag = String(value ?? "").trim().toLowerCase();
+  if (["yes", "true", "explicit"].includes(flag)) return true;
+  if (["no", "false", "clean"].includes(flag)) return false;
+  return null;
+}
+
+/**
+ * Parse a season or episode number
+ * @param {string|number} value - Number
+ * @returns {number|null} Positive integer
+ */
+export function parseNumber(value) {
+  const number = Number.parseInt(value, 10);
+  return number > 0 ? number : null;
+}
+
+/**
+ * Check whether an enclosure or attachment is an image
+ * @param {string} [type] - MIME type
+ * @param {string} [medium] - Media RSS medium
+ * @returns {boolean} True for artwork
+ */
+export function isImage(type, medium) {
+  return medium === "image" || Boolean(type?.startsWith("image/"));
+}
@@ -0,0 +1,174 @@
+import { fetchWithTimeout } from "./fetch.js";
+
+// Post types and the Micropub property citing the episode
+export const postTypes = {
+  listen: "listen-of",
+  bookmark: "bookmark-of",
+  like: "like-of",
+};
+
+/**
+ * Absolute URL of Indiekit's Micropub endpoint
+ * A relative endpoint can't be resolved without an application URL.
+ * @param {object} application - Indiekit application config
+ * @returns {string|null} Micropub endpoint URL, null if unknown
+ */
+export function micropubUrl(application) {
+  if (!application.micropubEndpoint) return null;
+
+  try {
+    return new URL(application.micropubEndpoint, application.url).href;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a draft h-entry citing an episode
+ * Listens cite the episode as an h-cite with its audio and podcast,
+ * bookmarks and likes use the episode URL with its title.
+ * @param {object} episode - Episode document
+ * @param {string} type - Post type, see postTypes
+ * @returns {object} Micropub JSON request
+ */
+export function episodeEntry(episode, type) {
+  const url = episode.url || episode.enclosure?.url;
+  const properties = { "post-status": ["draft"] };
+
+  if (type === "listen") {
+    const cite = { name: [episode.title], url: [url] };
+
+    if (episode.enclosure?.url) {
+      cite.audio = [episode.enclosure.url];
+    }
+
+    if (episode.origin?.title) {
+      cite.author = [
+        {
+          type: ["h-card"],
+          properties: {
+            name: [episode.origin.title],
+            ...(episode.origin.htmlUrl && { url: [episode.origin.htmlUrl] }),
+          },
+        },
+      ];
+    }
+
+    properties["listen-of"] = [{ type: ["h-cite"], properties: cite }];
+  } else {
+    properties[postTypes[type]] = [url];
+    properties.name = [
+      episode.origin?.title
+        ? `${episode.title} (${episode.origin.title})`
+        : episode.title,
+    ];
+  }
+
+  if (episode.note) {
+    properties.content = [episode.note];
+  }
+
+  return { type: ["h-entry"], properties };
+}
+
+/**
+ * Post an episode to Micropub as a draft and record the post on the episode
+ * @param {object} db - MongoDB database instance
+ * @param {object} micropub - Micropub endpoint
+ * @param {string} micropub.url - Micropub endpoint URL
+ * @param {string} micropub.token - Access token with create scope
+ * @param {number} [micropub.timeout] - Fetch timeout in ms
+ * @param {object} episode - Episode document
+ * @param {string} type - Post type, see postTypes
+ * @returns {Promise<string>} URL of the created post
+ */
+export async function postEpisode(db, micropub, episode, type) {
+  if (!Object.hasOwn(postTypes, type)) {
+    throw new Error(`Unknown post type: ${type}`);
+  }
+
+  if (!micropub.url || !micropub.token) {
+    throw new Error("Micropub endpoint or access token not available");
+  }
+
+  const response = await fetchWithTimeout(
+    micropub.url,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${micropub.token}`,
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(episodeEntry(episode, type)),
+    },
+    micropub.timeout,
+  );
+
+  const location = response.headers.get("location") || "";
+
+  await db.collection("podrollEpisodes").updateOne(
+    { id: episode.id },
+    { $push: { posts: { type, url: location, postedAt: new Date() } } },
+  );
+
+  console.log(`[Podroll] Posted ${type} of ${episode.id} to Micropub`);
+  return location;
+}
+
+/**
+ * Post episodes starred since a given time, if enabled
+ * Uses the autoPostStarred post type and micropubToken plugin options.
+ * Episodes that were already posted are skipped.
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin options
+ * @param {Date} since - Only post episodes starred at or after this time
+ * @param {Array} [skipIds] - Ids of episodes not to post, e.g. episodes a
+ * sync inserted already starred
+ * @returns {Promise<number>} Number of posted episodes
+ */
+export async function postStarredEpisodes(db, options, since, skipIds = []) {
+  const { autoPostStarred, micropubToken, fetchTimeout } = options;
+
+  if (!autoPostStarred || !micropubToken) return 0;
+
+  let url = null;
+  try {
+    url = options.getMicropubUrl?.() || null;
+  } catch (error) {
+    console.error("[Podroll] Could not resolve Micropub URL:", error.message);
+  }
+
+  // Stars are still stored, so the sync carries on without posting
+  if (!url) {
+    console.warn("[Podroll] No Micropub endpoint, starred episodes not posted");
+    return 0;
+  }
+
+  const micropub = { url, token: micropubToken, timeout: fetchTimeout };
+
+  const episodes = await db
+    .collection("podrollEpisodes")
+    .find({
+      starred: true,
+      starredAt: { $gte: since },
+      "posts.0": { $exists: false },
+      ...(skipIds.length > 0 && { id: { $nin: skipIds } }),
+    })
+    .toArray();
+
+  let posted = 0;
+  for (const episode of episodes) {
+    try {
+      await postEpisode(db, micropub, episode, autoPostStarred);
+      posted++;
+    } catch (error) {
+      console.error(
+        `[Podroll] Could not post starred episode ${episode.id}:`,
+        error.message,
+      );
+    }
+  }
+
+  return posted;
+}
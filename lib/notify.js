@@ -0,0 +1,248 @@
+import { createHmac, randomUUID } from "node:crypto";
+
+import { fetchWithTimeout } from "./fetch.js";
+import { getRolls } from "./rolls.js";
+import { sourceId } from "./sources.js";
+
+// New episodes listed in one webhook payload
+const MAX_PAYLOAD_EPISODES = 100;
+
+/**
+ * Normalise webhook config
+ * Webhooks can be given as URLs, or as objects with a url and secret.
+ * @param {Array} [webhooks] - Webhook config
+ * @returns {Array} Webhooks with url and secret
+ */
+export function getWebhooks(webhooks = []) {
+  return [webhooks]
+    .flat()
+    .map((hook) => (typeof hook === "string" ? { url: hook } : hook))
+    .filter((hook) => hook?.url)
+    .map((hook) => ({ url: hook.url, secret: hook.secret || "" }));
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} body - JSON body
+ * @param {string} secret - Shared secret
+ * @returns {string} Signature header value, sha256=<hex HMAC>
+ */
+export function signPayload(body, secret) {
+  return "sha256=" + createHmac("sha256", secret).update(body).digest("hex");
+}
+
+/**
+ * Add WebSub discovery Link headers to a public feed response
+ * @param {object} response - Express response
+ * @param {Array} hubs - WebSub hub URLs
+ * @param {string} selfUrl - Topic URL of the feed
+ */
+export function setHubLinks(response, hubs, selfUrl) {
+  if (!hubs?.length) return;
+
+  for (const hub of hubs) {
+    response.append("Link", `<${hub}>; rel="hub"`);
+  }
+  response.append("Link", `<${selfUrl}>; rel="self"`);
+}
+
+/**
+ * Get the ids of episodes inserted by a sync, including named rolls
+ * @param {object} result - Result of runSync
+ * @returns {Array} Episode ids
+ */
+function newEpisodeIds(result) {
+  return [
+    ...new Set([
+      ...(result.episodes?.insertedIds || []),
+      ...Object.values(result.rolls || {}).flatMap(
+        (roll) => roll.episodes?.insertedIds || [],
+      ),
+    ]),
+  ];
+}
+
+/**
+ * Check whether a sync changed the podroll's sources
+ * @param {object} result - Result of runSync
+ * @returns {boolean} True if sources were added, removed or edited
+ */
+function sourcesChanged(result) {
+  return (
+    result.sources?.changed > 0 ||
+    Object.values(result.rolls || {}).some((roll) => roll.sources?.changed > 0)
+  );
+}
+
+/**
+ * Build the webhook payload for new episodes
+ * @param {object} db - MongoDB database instance
+ * @param {Array} ids - New episode ids
+ * @param {string} trigger - What started the sync
+ * @returns {Promise<object>} Payload
+ */
+async function episodesPayload(db, ids, trigger) {
+  const episodes = await db
+    .collection("podrollEpisodes")
+    .find({ id: { $in: ids }, hidden: { $ne: true } })
+    .sort({ published: -1 })
+    .limit(MAX_PAYLOAD_EPISODES)
+    .toArray();
+
+  return {
+    event: "episodes.new",
+    trigger,
+    timestamp: new Date().toISOString(),
+    total: ids.length,
+    episodes: episodes.map((episode) => ({
+      id: episode.id,
+      title: episode.title,
+      url: episode.url,
+      published: episode.published,
+      enclosure: episode.enclosure || null,
+      image: episode.image || null,
+      podcast: episode.origin
+        ? {
+            slug: episode.origin.feedUrl
+              ? sourceId(episode.origin.feedUrl)
+              : null,
+            title: episode.origin.title,
+            url: episode.origin.htmlUrl,
+            feedUrl: episode.origin.feedUrl,
+          }
+        : null,
+      rolls: episode.rolls || [],
+    })),
+  };
+}
+
+/**
+ * Send a signed webhook
+ * @param {object} hook - Webhook url and secret
+ * @param {object} payload - JSON payload
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<object>} Delivery result
+ */
+async function sendWebhook(hook, payload, timeout) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Podroll-Event": payload.event,
+    "X-Podroll-Delivery": randomUUID(),
+  };
+
+  if (hook.secret) {
+    headers["X-Podroll-Signature"] = signPayload(body, hook.secret);
+  }
+
+  try {
+    const response = await fetchWithTimeout(
+      hook.url,
+      { method: "POST", headers, body },
+      timeout,
+    );
+    return { url: hook.url, status: response.status };
+  } catch (error) {
+    console.warn(`[Podroll] Webhook to ${hook.url} failed:`, error.message);
+    return { url: hook.url, error: error.message };
+  }
+}
+
+/**
+ * Tell WebSub hubs that a topic has new content
+ * @param {string} hub - Hub URL
+ * @param {Array} topics - Topic URLs
+ * @param {number} timeout - Fetch timeout in ms
+ * @returns {Promise<object>} Ping result
+ */
+async function pingHub(hub, topics, timeout) {
+  const body = new URLSearchParams({ "hub.mode": "publish" });
+  for (const topic of topics) {
+    body.append("hub.url", topic);
+  }
+
+  try {
+    const response = await fetchWithTimeout(
+      hub,
+      {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body,
+      },
+      timeout,
+    );
+    return { hub, status: response.status };
+  } catch (error) {
+    console.warn(`[Podroll] WebSub ping to ${hub} failed:`, error.message);
+    return { hub, error: error.message };
+  }
+}
+
+/**
+ * Get the public feed URLs to ping after a sync
+ * @param {object} options - Sync options
+ * @param {object} changes - What changed
+ * @param {boolean} changes.episodes - New episodes arrived
+ * @param {boolean} changes.sources - Sources changed
+ * @returns {Array} Topic URLs
+ */
+function websubTopics(options, changes) {
+  const base = options.getPublicUrl?.();
+  if (!base) return [];
+
+  const prefixes = [
+    "",
+    ...getRolls(options).map((roll) => `/rolls/${roll.name}`),
+  ];
+  const files = [
+    ...(changes.episodes ? ["podroll.rss"] : []),
+    ...(changes.sources ? ["podroll.opml"] : []),
+  ];
+
+  return prefixes.flatMap((prefix) =>
+    files.map((file) => `${base}${prefix}/${file}`),
+  );
+}
+
+/**
+ * Send webhooks and WebSub pings after a sync
+ * Webhooks are sent when new episodes arrived. Hubs are pinged for the RSS
+ * feeds when episodes arrived, and for the OPML files when sources changed.
+ * Failures are logged and never fail the sync.
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @param {object} result - Result of runSync
+ * @param {string} trigger - What started the sync
+ * @returns {Promise<object>} Webhook deliveries and hub pings
+ */
+export async function notifySync(db, options, result, trigger) {
+  const ids = newEpisodeIds(result);
+  const webhooks = getWebhooks(options.webhooks);
+  const hubs = [options.websubHubs || []].flat().filter(Boolean);
+  const timeout = options.fetchTimeout;
+  const notifications = { webhooks: [], websub: [] };
+
+  try {
+    if (ids.length > 0 && webhooks.length > 0) {
+      const payload = await episodesPayload(db, ids, trigger);
+      notifications.webhooks = await Promise.all(
+        webhooks.map((hook) => sendWebhook(hook, payload, timeout)),
+      );
+    }
+
+    const topics = websubTopics(options, {
+      episodes: ids.length > 0,
+      sources: sourcesChanged(result),
+    });
+
+    if (topics.length > 0 && hubs.length > 0) {
+      notifications.websub = await Promise.all(
+        hubs.map((hub) => pingHub(hub, topics, timeout)),
+      );
+    }
+  } catch (error) {
+    console.error("[Podroll] Sync notifications failed:", error.message);
+  }
+
+  return notifications;
+}
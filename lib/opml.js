@@ -0,0 +1,139 @@
+import { promisify } from "node:util";
+import { Builder, parseString } from "xml2js";
+
+const parseXml = promisify(parseString);
+
+/**
+ * Build a feed outline element
+ * @param {object} source - Podroll source document
+ * @returns {object} xml2js outline node
+ */
+function sourceOutline(source) {
+  const attributes = {
+    type: source.type || "rss",
+    text: source.title,
+    title: source.title,
+    xmlUrl: source.xmlUrl,
+  };
+
+  if (source.htmlUrl) {
+    attributes.htmlUrl = source.htmlUrl;
+  }
+
+  return { $: attributes };
+}
+
+/**
+ * Generate an OPML 2.0 document from podroll sources
+ * Sources with a category are nested under a category outline,
+ * uncategorised sources are placed at the top level.
+ * @param {Array} sources - Sources sorted in display order
+ * @param {object} [head] - OPML head values
+ * @param {string} [head.title] - Document title
+ * @param {Date} [head.dateModified] - Last sources sync
+ * @param {string} [head.ownerName] - Owner name
+ * @param {string} [head.docs] - URL of the OPML spec
+ * @returns {string} OPML XML
+ */
+export function generateOpml(sources, head = {}) {
+  const outlines = [];
+  const categories = new Map();
+
+  for (const source of sources) {
+    if (!source.category) {
+      outlines.push(sourceOutline(source));
+      continue;
+    }
+
+    let category = categories.get(source.category);
+    if (!category) {
+      category = {
+        $: { text: source.category, title: source.category },
+        outline: [],
+      };
+      categories.set(source.category, category);
+      outlines.push(category);
+    }
+
+    category.outline.push(sourceOutline(source));
+  }
+
+  const opmlHead = { title: head.title || "Podroll" };
+  if (head.dateModified instanceof Date) {
+    opmlHead.dateModified = head.dateModified.toUTCString();
+  }
+  if (head.ownerName) {
+    opmlHead.ownerName = head.ownerName;
+  }
+  opmlHead.docs = head.docs || "http://opml.org/spec2.opml";
+
+  const builder = new Builder({
+    xmldec: { version: "1.0", encoding: "UTF-8" },
+  });
+
+  return builder.buildObject({
+    opml: {
+      $: { version: "2.0" },
+      head: opmlHead,
+      body: { outline: outlines },
+    },
+  });
+}
+
+/**
+ * Collect feed outlines, walking nested outlines to any depth
+ * @param {object|Array} outline - xml2js outline node(s)
+ * @param {string} category - Text of the nearest enclosing outline
+ * @param {Array} sources - Collected sources
+ * @returns {Array} Collected sources
+ */
+function walkOutlines(outline, category, sources) {
+  const outlines = Array.isArray(outline) ? outline : [outline];
+
+  for (const node of outlines) {
+    const attributes = node.$ || {};
+
+    if (attributes.xmlUrl) {
+      sources.push({
+        title: attributes.text || attributes.title || "Unknown",
+        xmlUrl: attributes.xmlUrl,
+        htmlUrl: attributes.htmlUrl || "",
+        type: attributes.type || "rss",
+        category,
+      });
+    } else if (node.outline) {
+      // Category outline
+      walkOutlines(
+        node.outline,
+        attributes.text || attributes.title || category,
+        sources,
+      );
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Parse sources from an OPML document
+ * @param {string} xml - OPML XML
+ * @returns {Promise<Array>} Array of source objects
+ */
+export async function parseOpml(xml) {
+  const result = await parseXml(xml, { explicitArray: false });
+  const body = result?.opml?.body;
+
+  if (!result?.opml) {
+    throw new Error("Not an OPML document");
+  }
+
+  const sources = body?.outline ? walkOutlines(body.outline, "", []) : [];
+
+  // A feed listed under several categories keeps its first one
+  const seen = new Set();
+  return sources.filter((source) => {
+    if (seen.has(source.xmlUrl)) return false;
+    seen.add(source.xmlUrl);
+    return true;
+  });
+}
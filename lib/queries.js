@@ -0,0 +1,262 @@
+import { activityStatuses } from "./activity.js";
+
+/**
+ * Escape user input for use in a regular expression
+ * @param {string} string - User input
+ * @returns {string} Escaped string
+ */
+export function escapeRegex(string) {
+  return String(string).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Create a 400 error for invalid query params
+ * @param {string} message - Error message
+ * @returns {Error} Error with status
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse a date query param
+ * @param {string} value - ISO 8601 date or date-time
+ * @param {string} name - Param name, for errors
+ * @returns {Date} Parsed date
+ */
+function parseDateParam(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`Invalid ${name} date`);
+  }
+
+  return date;
+}
+
+/**
+ * Parse a non-negative number query param
+ * @param {string} value - Number
+ * @param {string} name - Param name, for errors
+ * @returns {number} Parsed number
+ */
+function parseNumberParam(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw badRequest(`Invalid ${name}`);
+  }
+
+  return number;
+}
+
+/**
+ * Build episode query from request query params
+ * Params: q, source, feed, category, since, until, minDuration,
+ * maxDuration (seconds), hasEnclosure (true/false),
+ * status (listened, starred or recommended)
+ * @param {object} db - MongoDB database instance
+ * @param {object} params - Request query params
+ * @param {object} [options] - Query options
+ * @param {boolean} [options.includeHidden] - Include episodes hidden on the
+ * dashboard, which are left out of public output
+ * @param {object} [options.exclude] - Exclusion query, see
+ * publicEpisodeExclusions
+ * @param {object} [options.scope] - Roll membership query, see
+ * rollEpisodesQuery
+ * @returns {Promise<object>} MongoDB query
+ */
+export async function buildEpisodeQuery(db, params, options = {}) {
+  const conditions = [];
+
+  if (!options.includeHidden) {
+    conditions.push({ hidden: { $ne: true } });
+  }
+
+  if (options.exclude && Object.keys(options.exclude).length > 0) {
+    conditions.push(options.exclude);
+  }
+
+  if (options.scope) {
+    conditions.push(options.scope);
+  }
+
+  if (params.q) {
+    conditions.push({ $text: { $search: String(params.q) } });
+  }
+
+  if (params.source) {
+    conditions.push({
+      "origin.title": { $regex: escapeRegex(params.source), $options: "i" },
+    });
+  }
+
+  if (params.feed) {
+    conditions.push({ "origin.feedUrl": String(params.feed) });
+  }
+
+  if (params.category) {
+    // Match aggregator labels on the episode or the category of its source
+    const category = String(params.category);
+    const sources = await db
+      .collection("podrollSources")
+      .find({ category }, { projection: { xmlUrl: 1 } })
+      .toArray();
+
+    conditions.push({
+      $or: [
+        { categories: category },
+        { categories: `user/-/label/${category}` },
+        { "origin.feedUrl": { $in: sources.map((s) => s.xmlUrl) } },
+      ],
+    });
+  }
+
+  if (params.since || params.until) {
+    const published = {};
+    if (params.since) published.$gte = parseDateParam(params.since, "since");
+    if (params.until) published.$lte = parseDateParam(params.until, "until");
+    conditions.push({ published });
+  }
+
+  if (params.minDuration || params.maxDuration) {
+    const duration = {};
+    if (params.minDuration) {
+      duration.$gte = parseNumberParam(params.minDuration, "minDuration");
+    }
+    if (params.maxDuration) {
+      duration.$lte = parseNumberParam(params.maxDuration, "maxDuration");
+    }
+    conditions.push({ duration });
+  }
+
+  if (params.status) {
+    const status = String(params.status);
+    if (!activityStatuses.includes(status)) {
+      throw badRequest(`Invalid status, use ${activityStatuses.join(", ")}`);
+    }
+    conditions.push({ [status]: true });
+  }
+
+  if (params.hasEnclosure === "true") {
+    conditions.push({ "enclosure.url": { $exists: true, $nin: [null, ""] } });
+  } else if (params.hasEnclosure === "false") {
+    conditions.push({
+      $or: [{ enclosure: null }, { "enclosure.url": { $in: [null, ""] } }],
+    });
+  }
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+/**
+ * Sort order for an offset-paginated episode query
+ * Text searches are sorted by relevance, then newest first.
+ * @param {object} params - Request query params
+ * @returns {object} MongoDB sort
+ */
+export function episodeSort(params) {
+  return params.q
+    ? { score: { $meta: "textScore" }, published: -1, id: -1 }
+    : { published: -1, id: -1 };
+}
+
+/**
+ * Encode an opaque pagination cursor for an episode
+ * @param {object} episode - Episode document
+ * @returns {string} Cursor
+ */
+function encodeCursor(episode) {
+  return Buffer.from(
+    JSON.stringify([new Date(episode.published).toISOString(), episode.id]),
+  ).toString("base64url");
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Cursor from encodeCursor
+ * @returns {object} Published date and id
+ */
+function decodeCursor(cursor) {
+  try {
+    const [published, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8"),
+    );
+    const date = new Date(published);
+
+    if (Number.isNaN(date.getTime()) || typeof id !== "string") {
+      throw new TypeError("Invalid cursor");
+    }
+
+    return { published: date, id };
+  } catch {
+    throw badRequest("Invalid cursor");
+  }
+}
+
+/**
+ * Query for episodes older (before) or newer (after) than a cursor
+ * in published, id order
+ * @param {object} cursor - Decoded cursor
+ * @param {string} direction - "before" or "after"
+ * @returns {object} MongoDB query
+ */
+function cursorQuery({ published, id }, direction) {
+  const operator = direction === "before" ? "$lt" : "$gt";
+
+  return {
+    $or: [
+      { published: { [operator]: published } },
+      { published, id: { [operator]: id } },
+    ],
+  };
+}
+
+/**
+ * Find a page of episodes with cursor paging on published, id (newest first)
+ * @param {object} collection - podrollEpisodes collection
+ * @param {object} query - MongoDB query
+ * @param {object} page - Page params
+ * @param {number} page.limit - Page size
+ * @param {string} [page.before] - Cursor of the last episode of a newer page
+ * @param {string} [page.after] - Cursor of the first episode of an older page
+ * @returns {Promise<object>} Episodes, and before/after cursors for the next
+ * (older) and previous (newer) page, null at either end
+ */
+export async function findEpisodePage(
+  collection,
+  query,
+  { limit, before, after },
+) {
+  const direction = after ? "after" : "before";
+  const cursor = before || after;
+
+  if (cursor) {
+    query = { $and: [query, cursorQuery(decodeCursor(cursor), direction)] };
+  }
+
+  const order = direction === "after" ? 1 : -1;
+  const episodes = await collection
+    .find(query)
+    .sort({ published: order, id: order })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = episodes.length > limit;
+  episodes.splice(limit);
+  if (direction === "after") {
+    episodes.reverse();
+  }
+
+  // Newer pages exist if we paged backwards, or further forwards
+  const hasNext = direction === "before" ? hasMore : Boolean(cursor);
+  const hasPrev = direction === "after" ? hasMore : Boolean(cursor);
+  const first = episodes.at(0);
+  const last = episodes.at(-1);
+
+  return {
+    episodes,
+    next: hasNext && last ? encodeCursor(last) : null,
+    prev: hasPrev && first ? encodeCursor(first) : null,
+  };
+}
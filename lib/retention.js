@@ -0,0 +1,94 @@
+import { withoutActivityQuery } from "./activity.js";
+
+/**
+ * Delete episodes by id
+ * @param {object} collection - podrollEpisodes collection
+ * @param {Array} ids - Episode ids
+ * @returns {Promise<number>} Number of deleted episodes
+ */
+async function deleteIds(collection, ids) {
+  if (ids.length === 0) return 0;
+  const result = await collection.deleteMany({ id: { $in: ids } });
+  return result.deletedCount;
+}
+
+/**
+ * Get the publication date before which episodes are pruned by age
+ * @param {object} [retention] - Retention policy
+ * @returns {Date|null} Cutoff date, null if maxAgeDays is not enforced
+ */
+export function retentionCutoff(retention = {}) {
+  return retention.maxAgeDays > 0
+    ? new Date(Date.now() - retention.maxAgeDays * 86_400_000)
+    : null;
+}
+
+/**
+ * Enforce episode retention policy
+ * Limits of 0 (or unset) are not enforced. Episodes that were listened to,
+ * starred, recommended or hidden are never pruned and don't count towards
+ * limits; pruning a hidden episode would let the next sync bring it back.
+ * @param {object} db - MongoDB database instance
+ * @param {object} [retention] - Retention policy
+ * @param {number} [retention.maxAgeDays] - Delete episodes older than this
+ * @param {number} [retention.maxPerPodcast] - Keep newest episodes per podcast
+ * @param {number} [retention.maxEpisodes] - Keep newest episodes in total
+ * @returns {Promise<object>} Pruned counts by rule
+ */
+export async function pruneEpisodes(db, retention = {}) {
+  const { maxPerPodcast, maxEpisodes } = retention;
+  const collection = db.collection("podrollEpisodes");
+  const pruned = { byAge: 0, byPodcast: 0, byTotal: 0, total: 0 };
+  const prunable = { ...withoutActivityQuery(), hidden: { $ne: true } };
+  const cutoff = retentionCutoff(retention);
+
+  if (cutoff) {
+    const result = await collection.deleteMany({
+      ...prunable,
+      published: { $lt: cutoff },
+    });
+    pruned.byAge = result.deletedCount;
+  }
+
+  if (maxPerPodcast > 0) {
+    const groups = await collection
+      .aggregate([
+        { $match: prunable },
+        { $sort: { published: -1 } },
+        { $group: { _id: "$origin.streamId", ids: { $push: "$id" } } },
+        { $match: { [`ids.${maxPerPodcast}`]: { $exists: true } } },
+        {
+          $project: {
+            ids: { $slice: ["$ids", maxPerPodcast, { $size: "$ids" }] },
+          },
+        },
+      ])
+      .toArray();
+
+    pruned.byPodcast = await deleteIds(
+      collection,
+      groups.flatMap((group) => group.ids),
+    );
+  }
+
+  if (maxEpisodes > 0) {
+    const excess = await collection
+      .find(prunable, { projection: { id: 1 } })
+      .sort({ published: -1 })
+      .skip(maxEpisodes)
+      .toArray();
+
+    pruned.byTotal = await deleteIds(
+      collection,
+      excess.map((episode) => episode.id),
+    );
+  }
+
+  pruned.total = pruned.byAge + pruned.byPodcast + pruned.byTotal;
+
+  if (pruned.total > 0) {
+    console.log(`[Podroll] Pruned ${pruned.total} episodes`);
+  }
+
+  return pruned;
+}
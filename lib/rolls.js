@@ -0,0 +1,175 @@
+import { escapeRegex } from "./queries.js";
+
+// Roll names are used in URLs
+const ROLL_NAME = /^[a-z\d][\w-]*$/i;
+
+/**
+ * Get named rolls from the plugin config
+ * Rolls with a name that can't be used in a URL are skipped.
+ * @param {object} options - Plugin config
+ * @returns {Array} Rolls (name, title, description, backend, episodesUrl,
+ * opmlUrl, categories, feedUrls)
+ */
+export function getRolls(options) {
+  return Object.entries(options?.rolls || {})
+    .filter(([name]) => ROLL_NAME.test(name))
+    .map(([name, roll]) => ({
+      name,
+      title: roll.title || name,
+      description: roll.description || "",
+      backend: roll.backend || "",
+      episodesUrl: roll.episodesUrl || "",
+      opmlUrl: roll.opmlUrl || "",
+      categories: [roll.categories || []].flat().filter(Boolean),
+      feedUrls: [roll.feedUrls || []].flat().filter(Boolean),
+    }));
+}
+
+/**
+ * Find a named roll
+ * @param {object} options - Plugin config
+ * @param {string} [name] - Roll name
+ * @returns {object|null} Roll, see getRolls
+ */
+export function findRoll(options, name) {
+  if (!name) return null;
+  return getRolls(options).find((roll) => roll.name === name) || null;
+}
+
+/**
+ * Check whether a roll is synced from its own aggregator URLs
+ * @param {object} roll - Roll, see getRolls
+ * @returns {boolean} True if the roll has an episodes or OPML URL
+ */
+export function isSyncedRoll(roll) {
+  return Boolean(roll.episodesUrl || roll.opmlUrl);
+}
+
+/**
+ * Query matching the sources of a roll
+ * Sources synced from the roll's OPML, listed by feed URL, or in one of its
+ * categories (ignoring case).
+ * @param {object} roll - Roll, see getRolls
+ * @returns {object} MongoDB query
+ */
+export function rollSourcesQuery(roll) {
+  return {
+    $or: [
+      { rolls: roll.name },
+      { xmlUrl: { $in: roll.feedUrls } },
+      {
+        category: {
+          $in: roll.categories.map(
+            (category) => new RegExp(`^${escapeRegex(category)}$`, "i"),
+          ),
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Query matching the episodes of a roll
+ * Episodes synced from the roll's episodes URL, or of one of its sources.
+ * @param {object} db - MongoDB database instance
+ * @param {object} roll - Roll, see getRolls
+ * @returns {Promise<object>} MongoDB query
+ */
+export async function rollEpisodesQuery(db, roll) {
+  const sources = await db
+    .collection("podrollSources")
+    .find(rollSourcesQuery(roll), { projection: { xmlUrl: 1 } })
+    .toArray();
+  const feedUrls = new Set([
+    ...roll.feedUrls,
+    ...sources.map((source) => source.xmlUrl),
+  ]);
+
+  return {
+    $or: [{ rolls: roll.name }, { "origin.feedUrl": { $in: [...feedUrls] } }],
+  };
+}
+
+/**
+ * Get the sync status of a roll
+ * @param {object} db - MongoDB database instance
+ * @param {string} name - Roll name
+ * @returns {Promise<object|null>} Status document
+ */
+export async function getRollStatus(db, name) {
+  return db.collection("podrollMeta").findOne({ key: "rollStatus", roll: name });
+}
+
+/**
+ * Record the result of a roll sync
+ * @param {object} db - MongoDB database instance
+ * @param {string} name - Roll name
+ * @param {object} result - Sync result
+ * @param {string} [result.error] - Error message, if the sync failed
+ * @param {object} [result.cursor] - Cursor for the next incremental sync
+ * @param {object} [result.episodes] - Episode counts
+ * @param {object} [result.sources] - Source counts
+ * @returns {Promise<void>}
+ */
+export async function recordRollSync(db, name, { error, cursor, episodes, sources }) {
+  const timestamp = new Date();
+
+  await db.collection("podrollMeta").updateOne(
+    { key: "rollStatus", roll: name },
+    error
+      ? {
+          $set: {
+            key: "rollStatus",
+            roll: name,
+            lastError: error,
+            lastErrorAt: timestamp,
+          },
+          $inc: { consecutiveFailures: 1 },
+        }
+      : {
+          $set: {
+            key: "rollStatus",
+            roll: name,
+            timestamp,
+            lastSuccessAt: timestamp,
+            consecutiveFailures: 0,
+            ...(cursor && { cursor }),
+            ...(episodes && { episodes }),
+            ...(sources && { sources }),
+          },
+        },
+    { upsert: true },
+  );
+}
+
+/**
+ * Format a roll for API responses
+ * @param {object} roll - Roll, see getRolls
+ * @param {object|null} status - Status document, see getRollStatus
+ * @param {string} baseUrl - Public router base URL
+ * @returns {object} API roll
+ */
+export function formatRoll(roll, status, baseUrl) {
+  const consecutiveFailures = status?.consecutiveFailures || 0;
+
+  return {
+    name: roll.name,
+    title: roll.title,
+    description: roll.description || null,
+    sync: isSyncedRoll(roll)
+      ? {
+          status: consecutiveFailures > 0 ? "failing" : "ok",
+          lastSync: status?.timestamp || null,
+          lastError: status?.lastError
+            ? { message: status.lastError, at: status.lastErrorAt }
+            : null,
+          consecutiveFailures,
+        }
+      : null,
+    episodes: `${baseUrl}/api/rolls/${roll.name}/episodes`,
+    sources: `${baseUrl}/api/rolls/${roll.name}/sources`,
+    opml: `${baseUrl}/rolls/${roll.name}/podroll.opml`,
+    feed: `${baseUrl}/rolls/${roll.name}/podroll.rss`,
+    page: `${baseUrl}/rolls/${roll.name}`,
+  };
+}
@@ -0,0 +1,139 @@
+import { Builder } from "xml2js";
+
+const namespaces = {
+  "xmlns:atom": "http://www.w3.org/2005/Atom",
+  "xmlns:itunes": "http://www.itunes.com/dtds/podcast-1.0.dtd",
+  "xmlns:podcast": "https://podcastindex.org/namespace/1.0",
+};
+
+/**
+ * Build an RSS item from a stored episode
+ * @param {object} episode - Podroll episode document
+ * @returns {object} xml2js item node
+ */
+function episodeItem(episode) {
+  const item = {
+    title: episode.title,
+    guid: { $: { isPermaLink: "false" }, _: episode.guid || episode.id },
+  };
+
+  if (episode.url) {
+    item.link = episode.url;
+  }
+
+  if (episode.published) {
+    item.pubDate = new Date(episode.published).toUTCString();
+  }
+
+  if (episode.content) {
+    item.description = episode.content;
+  }
+
+  if (episode.author) {
+    item["itunes:author"] = episode.author;
+  }
+
+  if (episode.enclosure?.url) {
+    item.enclosure = {
+      $: {
+        url: episode.enclosure.url,
+        length: String(episode.enclosure.length || 0),
+        type: episode.enclosure.type || "audio/mpeg",
+      },
+    };
+  }
+
+  if (episode.image) {
+    item["itunes:image"] = { $: { href: episode.image } };
+  }
+
+  if (episode.duration) {
+    item["itunes:duration"] = String(episode.duration);
+  }
+
+  if (episode.season) {
+    item["itunes:season"] = String(episode.season);
+  }
+
+  if (episode.episode) {
+    item["itunes:episode"] = String(episode.episode);
+  }
+
+  if (typeof episode.explicit === "boolean") {
+    item["itunes:explicit"] = String(episode.explicit);
+  }
+
+  if (episode.chapters?.url) {
+    item["podcast:chapters"] = {
+      $: { url: episode.chapters.url, type: episode.chapters.type },
+    };
+  }
+
+  if (episode.transcripts?.length > 0) {
+    item["podcast:transcript"] = episode.transcripts.map((transcript) => {
+      const attributes = { url: transcript.url, type: transcript.type };
+      if (transcript.language) attributes.language = transcript.language;
+      if (transcript.rel) attributes.rel = transcript.rel;
+      return { $: attributes };
+    });
+  }
+
+  if (episode.origin?.title) {
+    item.source = episode.origin.feedUrl
+      ? { $: { url: episode.origin.feedUrl }, _: episode.origin.title }
+      : episode.origin.title;
+  }
+
+  return item;
+}
+
+/**
+ * Generate an RSS 2.0 podcast feed from podroll episodes
+ * @param {Array} episodes - Episodes sorted newest first
+ * @param {object} channel - Channel values
+ * @param {string} channel.title - Feed title
+ * @param {string} channel.link - Website URL
+ * @param {string} channel.selfUrl - URL of this feed
+ * @param {string} [channel.description] - Feed description
+ * @param {string} [channel.author] - Feed author
+ * @param {Date} [channel.lastBuildDate] - Last episodes sync
+ * @param {Array} [channel.hubs] - WebSub hubs notified of new episodes
+ * @returns {string} RSS XML
+ */
+export function generateRss(episodes, channel) {
+  const rssChannel = {
+    title: channel.title,
+    link: channel.link,
+    description: channel.description || channel.title,
+    "atom:link": [
+      {
+        $: { href: channel.selfUrl, rel: "self", type: "application/rss+xml" },
+      },
+      ...(channel.hubs || []).map((hub) => ({ $: { href: hub, rel: "hub" } })),
+    ],
+    generator: "Indiekit-Podroll",
+  };
+
+  if (channel.lastBuildDate instanceof Date) {
+    rssChannel.lastBuildDate = channel.lastBuildDate.toUTCString();
+  }
+
+  if (channel.author) {
+    rssChannel["itunes:author"] = channel.author;
+  }
+
+  rssChannel["itunes:explicit"] = "false";
+  rssChannel.item = episodes.map(episodeItem);
+
+  const builder = new Builder({
+    xmldec: { version: "1.0", encoding: "UTF-8" },
+    cdata: true,
+  });
+
+  return builder.buildObject({
+    rss: {
+      $: { version: "2.0", ...namespaces },
+      channel: rssChannel,
+    },
+  });
+}
@@ -0,0 +1,94 @@
+import { createHash } from "node:crypto";
+
+import { normaliseExclusions, sourceExclusionQuery } from "./exclusions.js";
+
+/**
+ * Stable source id derived from its feed URL
+ * @param {string} xmlUrl - Feed URL
+ * @returns {string} Source id
+ */
+export function sourceId(xmlUrl) {
+  return createHash("sha1").update(xmlUrl).digest("hex").slice(0, 16);
+}
+
+/**
+ * Query matching sources shown in public output
+ * @param {object} [exclusions] - Exclusion rules, see getExclusions
+ * @returns {object} MongoDB query
+ */
+export function publicSourcesQuery(exclusions = normaliseExclusions()) {
+  return { hidden: { $ne: true }, ...sourceExclusionQuery(exclusions) };
+}
+
+/**
+ * Find a source shown in public output by id
+ * @param {object} db - MongoDB database instance
+ * @param {string} id - Source id (podcast slug)
+ * @param {object} [exclusions] - Exclusion rules, see getExclusions
+ * @returns {Promise<object|null>} Source document
+ */
+export async function findPublicSource(db, id, exclusions) {
+  return db
+    .collection("podrollSources")
+    .findOne({ ...publicSourcesQuery(exclusions), id: String(id) });
+}
+
+/**
+ * Compare stored sources with sources from an OPML file
+ * @param {Array} current - Sources in podrollSources
+ * @param {Array} incoming - Sources parsed from OPML
+ * @returns {object} New, removed, changed and unchanged sources
+ */
+export function diffSources(current, incoming) {
+  const currentByUrl = new Map(current.map((s) => [s.xmlUrl, s]));
+  const incomingUrls = new Set(incoming.map((s) => s.xmlUrl));
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const source of incoming) {
+    const existing = currentByUrl.get(source.xmlUrl);
+    if (!existing) {
+      diff.added.push(source);
+      continue;
+    }
+
+    const fields = ["title", "htmlUrl", "category"].filter(
+      (field) => (existing[field] || "") !== (source[field] || ""),
+    );
+
+    if (fields.length > 0) {
+      diff.changed.push({ ...source, id: existing.id, previous: existing, fields });
+    } else {
+      diff.unchanged.push(existing);
+    }
+  }
+
+  diff.removed = current.filter((s) => !incomingUrls.has(s.xmlUrl));
+
+  return diff;
+}
+
+/**
+ * Remove sources, remembering remote ones so OPML sync does not add them back
+ * @param {object} db - MongoDB database instance
+ * @param {Array} sources - Source documents to remove
+ * @returns {Promise<void>}
+ */
+export async function removeSources(db, sources) {
+  if (sources.length === 0) return;
+
+  await db
+    .collection("podrollSources")
+    .deleteMany({ xmlUrl: { $in: sources.map((s) => s.xmlUrl) } });
+
+  const remoteUrls = sources.filter((s) => s.remote).map((s) => s.xmlUrl);
+  if (remoteUrls.length > 0) {
+    await db.collection("podrollMeta").updateOne(
+      { key: "removedSources" },
+      {
+        $set: { key: "removedSources" },
+        $addToSet: { xmlUrls: { $each: remoteUrls } },
+      },
+      { upsert: true },
+    );
+  }
+}
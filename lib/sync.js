@@ -1,247 +1,215 @@
-import { parseString } from "xml2js";
-import { promisify } from "node:util";
-
-const parseXml = promisify(parseString);
-
-/**
- * Fetch episodes from FreshRSS greader API
- * @param {string} url - FreshRSS API URL
- * @param {number} timeout - Fetch timeout in ms
- * @param {number} fetchCount - Number of items to request from FreshRSS
- * @returns {Promise<Array>} Array of episode objects
- */
-async function fetchEpisodes(url, timeout, fetchCount) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    // Append nb parameter for FreshRSS to request more items
-    // (default is 20 which misses most episodes)
-    const separator = url.includes("?") ? "&" : "?";
-    const fetchUrl = `${url}${separator}nb=${fetchCount}`;
-
-    const response = await fetch(fetchUrl, {
-      signal: controller.signal,
-      headers: {
-        "User-Agent": "Indiekit-Podroll/1.0",
-        Accept: "application/json",
-      },
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data.items || [];
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
-  }
-}
+import { episodeUpsert, withoutActivityQuery } from "./activity.js";
+import { getAdapter } from "./adapters/index.js";
+import { fetchWithAuth } from "./auth.js";
+import { parseOpml } from "./opml.js";
+import { recordSyncRun, syncBackoffUntil } from "./history.js";
+import { episodeExclusionFilter, normaliseExclusions } from "./exclusions.js";
+import { createIndexes } from "./indexes.js";
+import { acquireSyncLock, releaseSyncLock } from "./lock.js";
+import { postStarredEpisodes } from "./micropub.js";
+import { notifySync } from "./notify.js";
+import { pruneEpisodes, retentionCutoff } from "./retention.js";
+import {
+  getRollStatus,
+  getRolls,
+  isSyncedRoll,
+  recordRollSync,
+} from "./rolls.js";
+import { diffSources, sourceId } from "./sources.js";
 
 /**
- * Fetch OPML sources from FreshRSS
- * @param {string} url - OPML URL
- * @param {number} timeout - Fetch timeout in ms
+ * Fetch OPML sources from the aggregator
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options (opmlUrl, credentials)
  * @returns {Promise<Array>} Array of source objects
  */
-async function fetchOpmlSources(url, timeout) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-  try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "User-Agent": "Indiekit-Podroll/1.0",
-        Accept: "application/xml, text/xml",
-      },
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const xml = await response.text();
-    const result = await parseXml(xml, { explicitArray: false });
-
-    // Extract outlines from OPML
-    const sources = [];
-    const body = result?.opml?.body;
-
-    if (body?.outline) {
-      const outlines = Array.isArray(body.outline) ? body.outline : [body.outline];
-
-      for (const outline of outlines) {
-        // Handle nested outlines (categories)
-        if (outline.outline) {
-          const children = Array.isArray(outline.outline) ? outline.outline : [outline.outline];
-          for (const child of children) {
-            if (child.$ && child.$.xmlUrl) {
-              sources.push({
-                title: child.$.text || child.$.title || "Unknown",
-                xmlUrl: child.$.xmlUrl,
-                htmlUrl: child.$.htmlUrl || "",
-                type: child.$.type || "rss",
-                category: outline.$.text || outline.$.title || "",
-              });
-            }
-          }
-        } else if (outline.$ && outline.$.xmlUrl) {
-          // Direct feed outline
-          sources.push({
-            title: outline.$.text || outline.$.title || "Unknown",
-            xmlUrl: outline.$.xmlUrl,
-            htmlUrl: outline.$.htmlUrl || "",
-            type: outline.$.type || "rss",
-            category: "",
-          });
-        }
-      }
-    }
+async function fetchOpmlSources(db, options) {
+  const response = await fetchWithAuth(db, options, options.opmlUrl, {
+    headers: { Accept: "application/xml, text/xml" },
+  });
 
-    return sources;
-  } catch (error) {
-    clearTimeout(timeoutId);
-    throw error;
-  }
+  return parseOpml(await response.text());
 }
 
 /**
- * Decode HTML entities in URLs (FreshRSS returns XML-encoded URLs)
- * @param {string} str
- * @returns {string}
+ * Fetch new episodes with the configured adapter
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @param {object} [storedCursor] - Cursor stored by the previous sync
+ * @returns {Promise<object>} Episodes, the cursor for the next sync, whether
+ * the adapter resumed from the stored cursor, and whether this is the first
+ * sync from this source
  */
-function decodeHtmlEntities(str) {
-  if (!str) return str;
-  return str
-    .replace(/&amp;/g, "&")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'");
+async function fetchNewEpisodes(db, options, storedCursor) {
+  const { maxEpisodes, backend, episodesUrl = "" } = options;
+  const adapter = getAdapter(backend);
+
+  // Resume from the stored cursor unless the source has changed
+  const cursor =
+    storedCursor?.backend === backend &&
+    storedCursor.episodesUrl === episodesUrl
+      ? storedCursor
+      : null;
+
+  const fetched = await adapter.fetchEpisodes(db, options, cursor);
+
+  // maxEpisodes bounds full fetches: the first one, and every fetch of an
+  // adapter that can't resume from a cursor. Incremental runs keep all new
+  // items. The feeds backend applies it to each podcast's first fetch.
+  const incremental = Boolean(cursor) && adapter.incremental !== false;
+  const episodes =
+    incremental || adapter.usesSources
+      ? fetched.episodes
+      : fetched.episodes.slice(0, maxEpisodes);
+
+  return {
+    episodes,
+    incremental,
+    firstSync: !cursor,
+    cursor: {
+      backend,
+      episodesUrl,
+      ...fetched.cursor,
+      updatedAt: new Date(),
+    },
+  };
 }
 
 /**
- * Transform FreshRSS episode to our schema
- * @param {object} item - FreshRSS item
- * @returns {object} Transformed episode
+ * Upsert fetched episodes, skipping excluded ones
+ * @param {object} db - MongoDB database instance
+ * @param {Array} episodes - Fetched episodes
+ * @param {object} options - Sync options
+ * @param {string} [roll] - Name of the roll the episodes were synced for
+ * @returns {Promise<object>} Inserted, updated and excluded counts, and the
+ * ids of inserted episodes
  */
-function transformEpisode(item) {
-  // Extract enclosure (audio file)
-  let enclosure = null;
-  if (item.enclosure && item.enclosure.length > 0) {
-    const enc = item.enclosure[0];
-    enclosure = {
-      url: decodeHtmlEntities(enc.href || enc.url),
-      type: enc.type || "audio/mpeg",
-      length: enc.length ? parseInt(enc.length, 10) : 0,
-    };
-  }
-
-  // Extract origin (podcast source)
-  let origin = null;
-  if (item.origin) {
-    origin = {
-      streamId: item.origin.streamId || "",
-      title: item.origin.title || "",
-      htmlUrl: item.origin.htmlUrl || "",
-      feedUrl: item.origin.feedUrl || "",
-    };
+async function storeEpisodes(db, episodes, options, roll) {
+  // Episodes retention would prune straight away aren't stored either
+  const cutoff = retentionCutoff(options.retention);
+  const current = cutoff
+    ? episodes.filter(
+        (episode) =>
+          episode.starred || !episode.published || episode.published >= cutoff,
+      )
+    : episodes;
+
+  // Excluded episodes are never stored
+  const isExcluded = await episodeExclusionFilter(db, options.exclude);
+  const kept = current.filter((episode) => !isExcluded(episode));
+  const excluded = current.length - kept.length;
+
+  if (kept.length === 0) {
+    return { inserted: 0, updated: 0, excluded, insertedIds: [] };
   }
 
-  // Get canonical URL
-  let url = "";
-  if (item.canonical && item.canonical.length > 0) {
-    url = item.canonical[0].href || "";
-  } else if (item.alternate && item.alternate.length > 0) {
-    url = item.alternate[0].href || "";
-  }
+  // Upsert episodes in a single round trip
+  const result = await db.collection("podrollEpisodes").bulkWrite(
+    kept.map((episode) => ({
+      updateOne: {
+        filter: { id: episode.id },
+        update: roll
+          ? { ...episodeUpsert(episode), $addToSet: { rolls: roll } }
+          : episodeUpsert(episode),
+        upsert: true,
+      },
+    })),
+    { ordered: false },
+  );
 
   return {
-    id: item["frss:id"] || item.id || item.guid,
-    guid: item.guid || item.id,
-    title: item.title || "Untitled Episode",
-    url: url,
-    published: item.published ? new Date(item.published * 1000) : new Date(),
-    content: item.content?.content || item.summary?.content || "",
-    author: item.author || "",
-    enclosure: enclosure,
-    origin: origin,
-    categories: item.categories || [],
-    fetchedAt: new Date(),
+    inserted: result.upsertedCount,
+    updated: result.modifiedCount,
+    excluded,
+    insertedIds: Object.keys(result.upsertedIds).map(
+      (index) => kept[index].id,
+    ),
   };
 }
 
 /**
- * Sync episodes from FreshRSS to MongoDB
+ * Sync episodes to MongoDB using the configured adapter
  * @param {object} db - MongoDB database instance
  * @param {object} options - Sync options
  * @returns {Promise<object>} Sync result stats
  */
 async function syncEpisodes(db, options) {
-  const { episodesUrl, fetchTimeout, maxEpisodes, fetchCount } = options;
+  const { backend } = options;
+  const startedAt = new Date();
 
-  if (!episodesUrl) {
-    return { success: false, error: "No episodesUrl configured" };
+  if (!getAdapter(backend)) {
+    return { success: false, error: `Unknown sync backend: ${backend}` };
   }
 
   try {
-    console.log("[Podroll] Fetching episodes from FreshRSS...");
-    const rawEpisodes = await fetchEpisodes(episodesUrl, fetchTimeout, fetchCount);
-    console.log(`[Podroll] Fetched ${rawEpisodes.length} episodes`);
-
-    const episodes = rawEpisodes
-      .map(transformEpisode)
-      .slice(0, maxEpisodes);
-
-    const collection = db.collection("podrollEpisodes");
+    const meta = db.collection("podrollMeta");
 
-    // Upsert episodes
-    let inserted = 0;
-    let updated = 0;
-
-    for (const episode of episodes) {
-      const result = await collection.updateOne(
-        { id: episode.id },
-        { $set: episode },
-        { upsert: true }
+    const { episodes, incremental, firstSync, cursor } =
+      await fetchNewEpisodes(
+        db,
+        options,
+        await meta.findOne({ key: "episodesCursor" }),
       );
+    const { inserted, updated, excluded, insertedIds } = await storeEpisodes(
+      db,
+      episodes,
+      options,
+    );
 
-      if (result.upsertedCount > 0) {
-        inserted++;
-      } else if (result.modifiedCount > 0) {
-        updated++;
-      }
-    }
+    const pruned = await pruneEpisodes(db, options.retention);
+    // Episodes that retention deleted straight away aren't announced
+    const keptIds =
+      pruned.total > 0 && insertedIds.length > 0
+        ? await db
+            .collection("podrollEpisodes")
+            .distinct("id", { id: { $in: insertedIds } })
+        : insertedIds;
+    // Episodes that gained a star in the aggregator since the last sync can
+    // be posted. Stars that arrive with a new episode, or on the first sync,
+    // are older than this sync and are only recorded.
+    const posted = !firstSync
+      ? await postStarredEpisodes(db, options, startedAt, insertedIds)
+      : 0;
+
+    // Store cursor for the next incremental sync
+    await meta.updateOne(
+      { key: "episodesCursor" },
+      { $set: { key: "episodesCursor", ...cursor } },
+      { upsert: true },
+    );
 
     // Update sync metadata
-    await db.collection("podrollMeta").updateOne(
+    await meta.updateOne(
       { key: "lastEpisodesSync" },
       {
         $set: {
           key: "lastEpisodesSync",
           timestamp: new Date(),
+          backend,
+          incremental,
           episodeCount: episodes.length,
+          excluded,
           inserted,
           updated,
+          pruned,
+          posted,
         },
       },
       { upsert: true }
     );
 
-    console.log(`[Podroll] Synced episodes: ${inserted} new, ${updated} updated`);
+    console.log(
+      `[Podroll] Synced episodes: ${inserted} new, ${updated} updated, ${excluded} excluded`,
+    );
 
     return {
       success: true,
       total: episodes.length,
       inserted,
       updated,
+      excluded,
+      insertedIds: keptIds,
+      pruned: pruned.total,
     };
   } catch (error) {
     console.error("[Podroll] Episode sync failed:", error.message);
@@ -256,7 +224,7 @@ async function syncEpisodes(db, options) {
  * @returns {Promise<object>} Sync result stats
  */
 async function syncSources(db, options) {
-  const { opmlUrl, fetchTimeout } = options;
+  const { opmlUrl } = options;
 
   if (!opmlUrl) {
     return { success: false, error: "No opmlUrl configured" };
@@ -264,22 +232,77 @@ async function syncSources(db, options) {
 
   try {
     console.log("[Podroll] Fetching OPML sources...");
-    const sources = await fetchOpmlSources(opmlUrl, fetchTimeout);
+    const sources = await fetchOpmlSources(db, options);
     console.log(`[Podroll] Fetched ${sources.length} podcast sources`);
 
+    // An empty export is more likely a broken response than an empty roll
+    if (sources.length === 0) {
+      throw new Error("OPML has no podcast sources");
+    }
+
     const collection = db.collection("podrollSources");
+    const [existing, removedMeta] = await Promise.all([
+      collection.find({}).toArray(),
+      db.collection("podrollMeta").findOne({ key: "removedSources" }),
+    ]);
+
+    // Sources removed on the dashboard stay removed
+    const removed = new Set(removedMeta?.xmlUrls || []);
+    const remoteSources = sources.filter((s) => !removed.has(s.xmlUrl));
+    const existingByUrl = new Map(existing.map((s) => [s.xmlUrl, s]));
+    const diff = diffSources(
+      existing.filter((s) => s.remote),
+      remoteSources,
+    );
 
-    // Clear existing and insert fresh
-    await collection.deleteMany({});
-    if (sources.length > 0) {
-      await collection.insertMany(
-        sources.map((s, index) => ({
-          ...s,
-          order: index,
-          fetchedAt: new Date(),
-        }))
-      );
-    }
+    // Merge with existing sources, keeping dashboard edits
+    const upserts = remoteSources.map((s, index) => {
+      const source = {
+        ...s,
+        id: sourceId(s.xmlUrl),
+        remote: true,
+        order: index,
+        fetchedAt: new Date(),
+      };
+
+      if (existingByUrl.get(s.xmlUrl)?.categoryLocked) {
+        delete source.category;
+      }
+
+      return {
+        updateOne: {
+          filter: { xmlUrl: s.xmlUrl },
+          update: { $set: source },
+          upsert: true,
+        },
+      };
+    });
+
+    // Replace sources in one ordered batch: upserts first, so the roll is
+    // never empty mid-sync, then drop sources no longer in the OPML unless
+    // added on the dashboard or synced for a named roll
+    const remoteUrls = remoteSources.map((s) => s.xmlUrl);
+    await collection.bulkWrite(
+      [
+        ...upserts,
+        {
+          deleteMany: {
+            filter: {
+              xmlUrl: { $nin: remoteUrls },
+              local: { $ne: true },
+              "rolls.0": { $exists: false },
+            },
+          },
+        },
+        {
+          updateMany: {
+            filter: { xmlUrl: { $nin: remoteUrls } },
+            update: { $set: { remote: false } },
+          },
+        },
+      ],
+      { ordered: true },
+    );
 
     // Update sync metadata
     await db.collection("podrollMeta").updateOne(
@@ -288,17 +311,18 @@ async function syncSources(db, options) {
         $set: {
           key: "lastSourcesSync",
           timestamp: new Date(),
-          sourceCount: sources.length,
+          sourceCount: remoteSources.length,
         },
       },
       { upsert: true }
     );
 
-    console.log(`[Podroll] Synced ${sources.length} podcast sources`);
+    console.log(`[Podroll] Synced ${remoteSources.length} podcast sources`);
 
     return {
       success: true,
-      total: sources.length,
+      total: remoteSources.length,
+      changed: diff.added.length + diff.removed.length + diff.changed.length,
     };
   } catch (error) {
     console.error("[Podroll] Source sync failed:", error.message);
@@ -307,75 +331,416 @@ async function syncSources(db, options) {
 }
 
 /**
- * Run full sync (episodes + sources)
- * @param {object} db - MongoDB database instance
+ * Get sync options for a named roll
+ * The roll's URLs replace the installation's. Credentials are only kept for
+ * URLs on the origin of the installation's episodes URL.
  * @param {object} options - Sync options
- * @returns {Promise<object>} Combined sync results
+ * @param {object} roll - Roll, see getRolls
+ * @returns {object} Sync options
  */
-export async function runSync(db, options) {
-  const [episodesResult, sourcesResult] = await Promise.all([
-    syncEpisodes(db, options),
-    options.opmlUrl ? syncSources(db, options) : { success: true, skipped: true },
-  ]);
+function rollSyncOptions(options, roll) {
+  const episodesUrl = roll.episodesUrl || options.episodesUrl;
+  const sameOrigin = (url) => {
+    try {
+      return new URL(url).origin === new URL(options.episodesUrl).origin;
+    } catch {
+      return false;
+    }
+  };
 
   return {
-    episodes: episodesResult,
-    sources: sourcesResult,
-    timestamp: new Date(),
+    ...options,
+    backend: roll.backend || options.backend,
+    episodesUrl,
+    opmlUrl: roll.opmlUrl,
+    credentials:
+      sameOrigin(episodesUrl) && (!roll.opmlUrl || sameOrigin(roll.opmlUrl))
+        ? options.credentials
+        : {},
   };
 }
 
 /**
- * Get effective URLs from DB settings, falling back to env var config
+ * Sync the OPML sources of a named roll
+ * Sources are tagged with the roll name, and dropped once no roll lists them
+ * unless they are also in the installation OPML or added on the dashboard.
  * @param {object} db - MongoDB database instance
- * @param {object} options - Plugin config from env vars
- * @returns {Promise<object>} Options with effective URLs
+ * @param {object} options - Roll sync options
+ * @param {object} roll - Roll, see getRolls
+ * @returns {Promise<object>} Number of sources in the roll, and of sources
+ * added, removed or tagged
  */
-async function getEffectiveSyncOptions(db, options) {
+async function syncRollSources(db, options, roll) {
+  const sources = await fetchOpmlSources(db, options);
+  const collection = db.collection("podrollSources");
+  const removedMeta = await db
+    .collection("podrollMeta")
+    .findOne({ key: "removedSources" });
+
+  // Sources removed on the dashboard stay removed
+  const removed = new Set(removedMeta?.xmlUrls || []);
+  const rollSources = sources.filter((s) => !removed.has(s.xmlUrl));
+
+  // Replace the roll's sources in one ordered batch, as for the podroll
+  const rollUrls = rollSources.map((s) => s.xmlUrl);
+  const result = await collection.bulkWrite(
+    [
+      ...rollSources.map((s, index) => ({
+        updateOne: {
+          filter: { xmlUrl: s.xmlUrl },
+          update: {
+            $setOnInsert: {
+              ...s,
+              id: sourceId(s.xmlUrl),
+              order: index,
+              fetchedAt: new Date(),
+            },
+            $addToSet: { rolls: roll.name },
+          },
+          upsert: true,
+        },
+      })),
+      {
+        updateMany: {
+          filter: { xmlUrl: { $nin: rollUrls }, rolls: roll.name },
+          update: { $pull: { rolls: roll.name } },
+        },
+      },
+      {
+        deleteMany: {
+          filter: {
+            rolls: { $size: 0 },
+            remote: { $ne: true },
+            local: { $ne: true },
+          },
+        },
+      },
+    ],
+    { ordered: true },
+  );
+
+  return {
+    total: rollSources.length,
+    changed: result.upsertedCount + result.modifiedCount + result.deletedCount,
+  };
+}
+
+/**
+ * Sync a named roll from its own episodes and OPML URLs
+ * Episodes are tagged with the roll name. Rolls with the feeds backend get
+ * their episodes from the installation sync, which fetches every source.
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @param {object} roll - Roll, see getRolls
+ * @returns {Promise<object>} Sync result stats
+ */
+async function syncRoll(db, options, roll) {
+  const rollOptions = rollSyncOptions(options, roll);
+  const adapter = getAdapter(rollOptions.backend);
+
   try {
-    const settings = await db
-      .collection("podrollMeta")
-      .findOne({ key: "settings" });
-    if (settings) {
-      return {
-        ...options,
-        episodesUrl: settings.episodesUrl || options.episodesUrl,
-        opmlUrl: settings.opmlUrl || options.opmlUrl,
-      };
+    if (!adapter) {
+      throw new Error(`Unknown sync backend: ${rollOptions.backend}`);
     }
+
+    const result = {};
+
+    if (roll.opmlUrl) {
+      result.sources = await syncRollSources(db, rollOptions, roll);
+    }
+
+    if (roll.episodesUrl && !adapter.usesSources) {
+      const status = await getRollStatus(db, roll.name);
+      const { episodes, cursor } = await fetchNewEpisodes(
+        db,
+        rollOptions,
+        status?.cursor,
+      );
+
+      const { insertedIds, ...counts } = await storeEpisodes(
+        db,
+        episodes,
+        rollOptions,
+        roll.name,
+      );
+
+      result.cursor = cursor;
+      result.episodes = { total: episodes.length, ...counts };
+      result.insertedIds = insertedIds;
+    }
+
+    await recordRollSync(db, roll.name, result);
+    console.log(`[Podroll] Synced roll ${roll.name}`);
+
+    return {
+      success: true,
+      episodes: result.episodes
+        ? { ...result.episodes, insertedIds: result.insertedIds }
+        : null,
+      sources: result.sources || null,
+    };
+  } catch (error) {
+    console.error(`[Podroll] Roll ${roll.name} sync failed:`, error.message);
+    await recordRollSync(db, roll.name, { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Sync all named rolls that have their own URLs, one after the other
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @returns {Promise<object>} Sync results by roll name
+ */
+async function syncRolls(db, options) {
+  const results = {};
+
+  for (const roll of getRolls(options).filter(isSyncedRoll)) {
+    results[roll.name] = await syncRoll(db, options, roll);
+  }
+
+  return results;
+}
+
+/**
+ * Delete synced data before a full re-sync
+ * Settings, dashboard-managed sources, and episodes with listening activity
+ * or hidden on the dashboard are kept.
+ * @param {object} db - MongoDB database instance
+ * @returns {Promise<void>}
+ */
+async function clearSyncedData(db) {
+  await Promise.all([
+    db
+      .collection("podrollEpisodes")
+      .deleteMany({ ...withoutActivityQuery(), hidden: { $ne: true } }),
+    db.collection("podrollSources").deleteMany({ local: { $ne: true } }),
+    db.collection("podrollMeta").deleteMany({
+      key: { $nin: ["settings", "removedSources", "syncStatus", "syncLock"] },
+    }),
+  ]);
+
+  console.log("[Podroll] Cleared all data, starting fresh sync...");
+}
+
+/**
+ * Run full sync (episodes + sources) and record it in the sync history
+ * Webhooks and WebSub hubs are notified of new episodes and source changes.
+ * Only one sync runs at a time across all processes sharing the database;
+ * a run that can't take the sync lock is skipped and not recorded.
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Sync options
+ * @param {string} [trigger] - What started the run, for the sync history
+ * @param {object} [run] - Run options
+ * @param {boolean} [run.clear] - Delete synced data first (clear & re-sync)
+ * @returns {Promise<object>} Combined sync results, with `locked` set if
+ * another sync was running
+ */
+export async function runSync(db, options, trigger = "manual", { clear } = {}) {
+  const startedAt = new Date();
+  const owner = await acquireSyncLock(db, options.syncLockTimeout);
+
+  if (!owner) {
+    console.log(`[Podroll] Sync already running, skipping ${trigger} sync`);
+    return {
+      locked: true,
+      error: "A sync is already running",
+      timestamp: startedAt,
+    };
+  }
+
+  let result;
+
+  try {
+    if (clear) {
+      await clearSyncedData(db);
+    }
+
+    let episodesResult;
+    let sourcesResult;
+
+    if (getAdapter(options.backend)?.usesSources) {
+      // Adapter reads podrollSources, so refresh sources first
+      sourcesResult = options.opmlUrl
+        ? await syncSources(db, options)
+        : { success: true, skipped: true };
+      episodesResult = await syncEpisodes(db, options);
+    } else {
+      [episodesResult, sourcesResult] = await Promise.all([
+        syncEpisodes(db, options),
+        options.opmlUrl ? syncSources(db, options) : { success: true, skipped: true },
+      ]);
+    }
+
+    // Rolls are synced after the installation, so their own failures
+    // don't hold it up
+    const rollsResult = await syncRolls(db, options);
+
+    result = {
+      episodes: episodesResult,
+      sources: sourcesResult,
+      rolls: rollsResult,
+      timestamp: new Date(),
+    };
+
+    // Webhooks and WebSub pings, while the lock keeps runs from overlapping
+    result.notifications = await notifySync(db, options, result, trigger);
+  } catch (error) {
+    console.error("[Podroll] Sync failed:", error.message);
+    result = { error: error.message, timestamp: new Date() };
+  }
+
+  try {
+    result.run = await recordSyncRun(
+      db,
+      result,
+      { trigger, startedAt },
+      options.syncHistorySize,
+    );
+  } catch (error) {
+    console.error("[Podroll] Could not record sync run:", error.message);
+  }
+
+  try {
+    await releaseSyncLock(db, owner);
+  } catch (error) {
+    console.error("[Podroll] Could not release sync lock:", error.message);
+  }
+
+  return result;
+}
+
+/**
+ * Get effective sync options from DB settings, falling back to env var config
+ * @param {object} db - MongoDB database instance
+ * @param {object} options - Plugin config from env vars
+ * @returns {Promise<object>} Options with effective URLs, backend and credentials
+ * (credentials must never be rendered or returned by an API)
+ */
+export async function getEffectiveSyncOptions(db, options) {
+  let settings;
+  try {
+    settings = await db?.collection("podrollMeta").findOne({ key: "settings" });
   } catch {
     // Fall through to defaults
   }
-  return options;
+
+  return {
+    ...options,
+    backend: settings?.backend || options.backend,
+    episodesUrl: settings?.episodesUrl || options.episodesUrl,
+    opmlUrl: settings?.opmlUrl || options.opmlUrl,
+    retention: { ...options.retention, ...settings?.retention },
+    exclude: normaliseExclusions(settings?.exclude || options.exclude),
+    credentials: {
+      username: settings?.credentials?.username || options.username,
+      password: settings?.credentials?.password || options.password,
+      token: settings?.credentials?.token || options.authToken,
+    },
+  };
 }
 
 /**
- * Start background sync interval
+ * Start background sync
+ * Each run is scheduled when the previous one has finished, so runs in one
+ * process never overlap. After failed syncs, scheduled and ingest runs back
+ * off (see syncBackoffUntil); startup and manual syncs always run.
  * @param {object} Indiekit - Indiekit instance
  * @param {object} options - Sync options
+ * @returns {object} `stop()` stops background sync, `request()` brings the
+ * next run forward (see below)
  */
 export function startSync(Indiekit, options) {
-  const { syncInterval } = options;
+  const { syncInterval, ingestDelay } = options;
+  let timer;
+  let next;
+  let running = false;
+  let requested = false;
+  let stopped = false;
+
+  const schedule = (trigger, delay) => {
+    if (stopped) return;
+    clearTimeout(timer);
+    next = { trigger, at: new Date(Date.now() + delay) };
+    timer = setTimeout(() => tick(trigger), delay);
+    // Don't keep the process alive just for the next sync
+    timer.unref?.();
+  };
 
-  // Initial sync after short delay
-  setTimeout(async () => {
+  const tick = async (trigger) => {
     const db = Indiekit.database;
-    if (db) {
-      console.log("[Podroll] Running initial sync...");
-      const effectiveOptions = await getEffectiveSyncOptions(db, options);
-      await runSync(db, effectiveOptions);
+    running = true;
+    next = undefined;
+
+    try {
+      if (db) {
+        const effectiveOptions = await getEffectiveSyncOptions(db, options);
+        const syncStatus = await db
+          .collection("podrollMeta")
+          .findOne({ key: "syncStatus" });
+        const backoffUntil = syncBackoffUntil(syncStatus, effectiveOptions);
+
+        if (trigger !== "startup" && backoffUntil > new Date()) {
+          console.log(
+            `[Podroll] Skipping ${trigger} sync after ${syncStatus.consecutiveFailures} failures, retrying after ${backoffUntil.toISOString()}`,
+          );
+        } else {
+          if (trigger === "startup") {
+            await createIndexes(db);
+          }
+
+          console.log(`[Podroll] Running ${trigger} sync...`);
+          await runSync(db, effectiveOptions, trigger);
+        }
+      }
+    } catch (error) {
+      console.error("[Podroll] Background sync error:", error.message);
     }
-  }, 5000);
 
-  // Periodic sync
-  setInterval(async () => {
-    const db = Indiekit.database;
-    if (db) {
-      console.log("[Podroll] Running scheduled sync...");
-      const effectiveOptions = await getEffectiveSyncOptions(db, options);
-      await runSync(db, effectiveOptions);
+    running = false;
+
+    // A request made during the run may have missed it
+    if (requested) {
+      requested = false;
+      schedule("ingest", ingestDelay);
+    } else {
+      schedule("scheduled", syncInterval);
     }
-  }, syncInterval);
+  };
+
+  /**
+   * Bring the next run forward, e.g. when the aggregator pushes an update
+   * Requests are debounced: the first one schedules an "ingest" run after
+   * `ingestDelay`, and later ones until it starts join that run. A request
+   * during a run schedules another one after it.
+   * @returns {object} Request result, with `at` the start of the requested
+   * run, or null if it follows the current run
+   */
+  const request = () => {
+    if (running) {
+      requested = true;
+      return { at: null };
+    }
+
+    if (!next || next.at - Date.now() > ingestDelay) {
+      // The startup run also creates indexes, so it keeps its trigger
+      schedule(next?.trigger === "startup" ? "startup" : "ingest", ingestDelay);
+    }
+
+    return { at: next?.at || null };
+  };
+
+  // Initial sync after short delay
+  schedule("startup", 5000);
 
   console.log(`[Podroll] Background sync started (interval: ${syncInterval / 1000}s)`);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      console.log("[Podroll] Background sync stopped");
+    },
+    request,
+  };
 }
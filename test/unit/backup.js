@@ -0,0 +1,84 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  parseBackup,
+} from "../../lib/backup.js";
+
+/**
+ * Serialise a backup file
+ * @param {object} [contents] - Sources, episodes and metadata
+ * @returns {string} Backup JSON
+ */
+function backupFile(contents = {}) {
+  return JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    sources: [],
+    episodes: [],
+    meta: [],
+    ...contents,
+  });
+}
+
+describe("backup", () => {
+  it("revives dates and drops local metadata", () => {
+    const backup = parseBackup(
+      backupFile({
+        episodes: [
+          {
+            _id: "6600",
+            id: "e1",
+            published: { $date: "2024-03-01T00:00:00.000Z" },
+          },
+        ],
+        meta: [{ key: "settings" }, { key: "syncLock" }],
+      }),
+    );
+
+    assert.deepEqual(backup.episodes, [
+      { id: "e1", published: new Date("2024-03-01T00:00:00.000Z") },
+    ]);
+    assert.deepEqual(backup.meta, [{ key: "settings" }]);
+  });
+
+  it("rejects files that aren't podroll backups", () => {
+    assert.throws(() => parseBackup("{"), {
+      message: "Backup file is not valid JSON",
+    });
+    assert.throws(() => parseBackup(JSON.stringify({ format: "other" })), {
+      message: "Not a podroll backup file",
+    });
+    assert.throws(
+      () => parseBackup(backupFile({ version: BACKUP_VERSION + 1 })),
+      { message: `Unsupported backup version: ${BACKUP_VERSION + 1}` },
+    );
+    assert.throws(() => parseBackup(backupFile({ episodes: null })), {
+      message: "Backup file is incomplete",
+    });
+    assert.throws(() => parseBackup(backupFile({ sources: [{}] })), {
+      message: "Backup file has invalid documents",
+    });
+  });
+
+  it("rejects duplicate ids before anything is restored", () => {
+    assert.throws(
+      () => parseBackup(backupFile({ episodes: [{ id: "e1" }, { id: "e1" }] })),
+      { message: "Backup file has duplicate episodes" },
+    );
+    assert.throws(
+      () =>
+        parseBackup(
+          backupFile({
+            sources: [
+              { xmlUrl: "https://a.example/feed" },
+              { xmlUrl: "https://a.example/feed" },
+            ],
+          }),
+        ),
+      { message: "Backup file has duplicate sources" },
+    );
+  });
+});
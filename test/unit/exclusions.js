@@ -0,0 +1,91 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  episodeExclusionFilter,
+  normaliseExclusions,
+  sourceExclusionQuery,
+} from "../../lib/exclusions.js";
+
+/**
+ * Database whose podrollSources query returns the given sources
+ * @param {Array} sources - Sources matched by category or title
+ * @returns {object} Database stub
+ */
+function mockDb(sources = []) {
+  return {
+    collection: () => ({ find: () => ({ toArray: async () => sources }) }),
+  };
+}
+
+describe("exclusions", () => {
+  it("normalises exclusion rules", () => {
+    assert.deepEqual(
+      normaliseExclusions({
+        feedUrls: " https://a.example/feed ",
+        keywords: ["", " ad "],
+      }),
+      {
+        feedUrls: ["https://a.example/feed"],
+        categories: [],
+        keywords: ["ad"],
+        labels: [],
+      },
+    );
+  });
+
+  it("returns an empty source query without rules", () => {
+    assert.deepEqual(sourceExclusionQuery(normaliseExclusions()), {});
+  });
+
+  it("builds a source query with escaped, case-insensitive patterns", () => {
+    const query = sourceExclusionQuery(
+      normaliseExclusions({
+        feedUrls: ["https://a.example/feed"],
+        categories: ["News (daily)"],
+        keywords: ["C++"],
+      }),
+    );
+    const [feedUrls, categories, titles] = query.$nor;
+
+    assert.deepEqual(feedUrls, { xmlUrl: { $in: ["https://a.example/feed"] } });
+    assert.ok(categories.category.$in[0].test("news (DAILY)"));
+    assert.ok(!categories.category.$in[0].test("News (daily) extra"));
+    assert.ok(titles.title.$in[0].test("Learn C++ today"));
+    assert.ok(!titles.title.$in[0].test("Learn C today"));
+  });
+
+  it("never excludes episodes without rules", async () => {
+    const isExcluded = await episodeExclusionFilter(
+      mockDb(),
+      normaliseExclusions(),
+    );
+
+    assert.equal(isExcluded({ title: "Anything" }), false);
+  });
+
+  it("excludes episodes by feed, label and keyword", async () => {
+    const isExcluded = await episodeExclusionFilter(
+      mockDb([{ xmlUrl: "https://b.example/feed" }]),
+      normaliseExclusions({
+        feedUrls: ["https://a.example/feed"],
+        categories: ["Sports"],
+        keywords: ["sponsored"],
+        labels: ["Skip"],
+      }),
+    );
+
+    assert.ok(isExcluded({ origin: { feedUrl: "https://a.example/feed" } }));
+    assert.ok(isExcluded({ origin: { feedUrl: "https://b.example/feed" } }));
+    assert.ok(isExcluded({ categories: ["user/1234/label/skip"] }));
+    assert.ok(isExcluded({ title: "A Sponsored episode" }));
+    assert.ok(isExcluded({ origin: { title: "Sponsored Show" } }));
+    assert.ok(
+      !isExcluded({
+        title: "Episode 1",
+        categories: ["user/-/label/Skipped"],
+        origin: { feedUrl: "https://c.example/feed", title: "Show" },
+      }),
+    );
+  });
+});
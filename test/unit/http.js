@@ -0,0 +1,52 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { absoluteUrl, safeUrl, toISO } from "../../lib/http.js";
+
+const request = {
+  protocol: "https",
+  get: (header) => (header === "host" ? "podroll.example" : undefined),
+};
+
+describe("http", () => {
+  it("keeps http and https URLs", () => {
+    assert.equal(safeUrl("https://a.example/feed"), "https://a.example/feed");
+    assert.equal(safeUrl("http://a.example/"), "http://a.example/");
+  });
+
+  it("drops other schemes and invalid URLs", () => {
+    for (const url of [
+      "javascript:alert(1)",
+      " JavaScript:alert(1)",
+      "data:text/html,<script>alert(1)</script>",
+      "/relative",
+      "",
+      undefined,
+    ]) {
+      assert.equal(safeUrl(url), "");
+    }
+  });
+
+  it("builds absolute URLs from the application URL", () => {
+    assert.equal(
+      absoluteUrl(request, "/podrollapi/podroll.rss", "https://site.example/"),
+      "https://site.example/podrollapi/podroll.rss",
+    );
+  });
+
+  it("falls back to the request origin without an application URL", () => {
+    assert.equal(
+      absoluteUrl(request, "/podrollapi/podroll.rss"),
+      "https://podroll.example/podrollapi/podroll.rss",
+    );
+  });
+
+  it("converts dates to ISO strings", () => {
+    assert.equal(
+      toISO(new Date("2024-03-01T00:00:00Z")),
+      "2024-03-01T00:00:00.000Z",
+    );
+    assert.equal(toISO("2024-03-01"), "2024-03-01");
+    assert.equal(toISO(null), null);
+  });
+});
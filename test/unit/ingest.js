@@ -0,0 +1,122 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { ingestController } from "../../lib/controllers/ingest.js";
+
+/**
+ * Request for the ingest route
+ * @param {object} config - Plugin config
+ * @param {string} token - Token in the URL
+ * @param {object} [query] - Query params
+ * @returns {object} Express request stub
+ */
+function mockRequest(config, token, query = {}) {
+  return {
+    app: { locals: { application: { podrollConfig: config } } },
+    params: { token },
+    query,
+  };
+}
+
+/**
+ * Response recording status and body
+ * @returns {object} Express response stub
+ */
+function mockResponse() {
+  const response = {
+    statusCode: 200,
+    headers: {},
+    status(code) {
+      response.statusCode = code;
+      return response;
+    },
+    set(name, value) {
+      response.headers[name] = value;
+      return response;
+    },
+    type(type) {
+      response.headers["Content-Type"] = type;
+      return response;
+    },
+    json(body) {
+      response.body = body;
+      return response;
+    },
+    send(body) {
+      response.body = body;
+      return response;
+    },
+  };
+
+  return response;
+}
+
+const at = new Date("2024-03-01T00:00:10Z");
+const config = { ingestToken: "s3cret", requestSync: () => ({ at }) };
+
+describe("ingest", () => {
+  it("accepts the configured token and requests a sync", () => {
+    const response = mockResponse();
+    ingestController.ingest(mockRequest(config, "s3cret"), response);
+
+    assert.equal(response.statusCode, 202);
+    assert.deepEqual(response.body, {
+      accepted: true,
+      syncAt: "2024-03-01T00:00:10.000Z",
+    });
+  });
+
+  it("answers 404 for a wrong, shorter or longer token", () => {
+    for (const token of ["wrong!", "s3c", "s3cret-and-more", ""]) {
+      const response = mockResponse();
+      ingestController.ingest(mockRequest(config, token), response);
+
+      assert.equal(response.statusCode, 404);
+    }
+  });
+
+  it("answers 404 when ingest is disabled", () => {
+    const response = mockResponse();
+    ingestController.ingest(
+      mockRequest({ ...config, ingestToken: "" }, ""),
+      response,
+    );
+
+    assert.equal(response.statusCode, 404);
+  });
+
+  it("answers 503 when background sync isn't running", () => {
+    const response = mockResponse();
+    ingestController.ingest(
+      mockRequest({ ...config, requestSync: () => null }, "s3cret"),
+      response,
+    );
+
+    assert.equal(response.statusCode, 503);
+  });
+
+  it("echoes the WebSub challenge for a valid token", () => {
+    const response = mockResponse();
+    ingestController.verify(
+      mockRequest(config, "s3cret", { "hub.challenge": "abc123" }),
+      response,
+    );
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.body, "abc123");
+
+    const invalid = mockResponse();
+    ingestController.verify(
+      mockRequest(config, "wrong", { "hub.challenge": "abc123" }),
+      invalid,
+    );
+    assert.equal(invalid.statusCode, 404);
+  });
+
+  it("requires a WebSub challenge", () => {
+    const response = mockResponse();
+    ingestController.verify(mockRequest(config, "s3cret"), response);
+
+    assert.equal(response.statusCode, 400);
+  });
+});
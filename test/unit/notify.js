@@ -0,0 +1,124 @@
+import { strict as assert } from "node:assert";
+import { createHmac, timingSafeEqual } from "node:crypto";
+import { afterEach, describe, it, mock } from "node:test";
+
+import { getWebhooks, notifySync, signPayload } from "../../lib/notify.js";
+
+/**
+ * Check a signature the way a webhook receiver would
+ * @param {string} body - Raw request body
+ * @param {string} header - X-Podroll-Signature value
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True if the signature matches
+ */
+function verifySignature(body, header, secret) {
+  const expected = Buffer.from(
+    "sha256=" + createHmac("sha256", secret).update(body).digest("hex"),
+  );
+  const received = Buffer.from(String(header));
+
+  return (
+    expected.length === received.length && timingSafeEqual(expected, received)
+  );
+}
+
+const db = {
+  collection: () => ({
+    find() {
+      const cursor = {
+        sort: () => cursor,
+        limit: () => cursor,
+        toArray: async () => [
+          {
+            id: "e1",
+            title: "New episode",
+            origin: { title: "Show", feedUrl: "https://show.example/feed" },
+          },
+        ],
+      };
+      return cursor;
+    },
+  }),
+};
+
+describe("notify", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("normalises webhook config", () => {
+    assert.deepEqual(
+      getWebhooks([
+        "https://a.example/hook",
+        { url: "https://b.example/hook", secret: "s3cret" },
+        { secret: "no url" },
+        "",
+      ]),
+      [
+        { url: "https://a.example/hook", secret: "" },
+        { url: "https://b.example/hook", secret: "s3cret" },
+      ],
+    );
+    assert.deepEqual(getWebhooks("https://a.example/hook"), [
+      { url: "https://a.example/hook", secret: "" },
+    ]);
+  });
+
+  it("signs payloads with an HMAC a receiver can verify", () => {
+    const body = JSON.stringify({ event: "episodes.new" });
+    const signature = signPayload(body, "s3cret");
+
+    assert.match(signature, /^sha256=[\da-f]{64}$/);
+    assert.ok(verifySignature(body, signature, "s3cret"));
+    assert.ok(!verifySignature(body, signature, "other"));
+    assert.ok(!verifySignature(body + " ", signature, "s3cret"));
+  });
+
+  it("sends signed webhooks for new episodes only", async () => {
+    const requests = [];
+    mock.method(globalThis, "fetch", async (url, init) => {
+      requests.push({ url, ...init });
+      return new Response(null, { status: 204 });
+    });
+
+    const options = {
+      webhooks: [
+        { url: "https://a.example/hook", secret: "s3cret" },
+        "https://b.example/hook",
+      ],
+    };
+    const notifications = await notifySync(
+      db,
+      options,
+      { episodes: { insertedIds: ["e1"] } },
+      "schedule",
+    );
+
+    assert.equal(requests.length, 2);
+    const [signed, unsigned] = requests;
+    const payload = JSON.parse(signed.body);
+
+    assert.equal(payload.event, "episodes.new");
+    assert.equal(payload.total, 1);
+    assert.equal(payload.episodes[0].podcast.title, "Show");
+    assert.ok(
+      verifySignature(
+        signed.body,
+        signed.headers["X-Podroll-Signature"],
+        "s3cret",
+      ),
+    );
+    assert.equal(unsigned.headers["X-Podroll-Signature"], undefined);
+    assert.deepEqual(notifications.webhooks, [
+      { url: "https://a.example/hook", status: 204 },
+      { url: "https://b.example/hook", status: 204 },
+    ]);
+
+    requests.length = 0;
+    await notifySync(
+      db,
+      options,
+      { episodes: { insertedIds: [] } },
+      "schedule",
+    );
+    assert.equal(requests.length, 0);
+  });
+});
@@ -0,0 +1,98 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { generateOpml, parseOpml } from "../../lib/opml.js";
+
+const sources = [
+  {
+    title: "Loose",
+    xmlUrl: "https://a.example/feed",
+    htmlUrl: "https://a.example/",
+  },
+  {
+    title: "News & Views",
+    xmlUrl: "https://b.example/feed?x=1&y=2",
+    category: "News",
+  },
+  { title: "Tech", xmlUrl: "https://c.example/feed", category: "News" },
+];
+
+describe("opml", () => {
+  it("generates OPML with category outlines", () => {
+    const opml = generateOpml(sources, {
+      title: "My Podroll",
+      dateModified: new Date("2024-03-01T00:00:00Z"),
+    });
+
+    assert.match(opml, /<title>My Podroll<\/title>/);
+    assert.match(
+      opml,
+      /<dateModified>Fri, 01 Mar 2024 00:00:00 GMT<\/dateModified>/,
+    );
+    assert.match(opml, /<outline text="News" title="News">/);
+    assert.match(opml, /xmlUrl="https:\/\/b\.example\/feed\?x=1&amp;y=2"/);
+    assert.match(opml, /text="News &amp; Views"/);
+  });
+
+  it("parses the OPML it generates", async () => {
+    const parsed = await parseOpml(generateOpml(sources));
+
+    assert.deepEqual(parsed, [
+      {
+        title: "Loose",
+        xmlUrl: "https://a.example/feed",
+        htmlUrl: "https://a.example/",
+        type: "rss",
+        category: "",
+      },
+      {
+        title: "News & Views",
+        xmlUrl: "https://b.example/feed?x=1&y=2",
+        htmlUrl: "",
+        type: "rss",
+        category: "News",
+      },
+      {
+        title: "Tech",
+        xmlUrl: "https://c.example/feed",
+        htmlUrl: "",
+        type: "rss",
+        category: "News",
+      },
+    ]);
+  });
+
+  it("uses the nearest category of nested outlines and keeps the first duplicate", async () => {
+    const parsed = await parseOpml(`<?xml version="1.0"?>
+      <opml version="2.0"><head/><body>
+        <outline text="Outer">
+          <outline title="Inner">
+            <outline text="One" xmlUrl="https://one.example/feed"/>
+          </outline>
+          <outline text="Two" xmlUrl="https://two.example/feed"/>
+        </outline>
+        <outline text="One again" xmlUrl="https://one.example/feed"/>
+      </body></opml>`);
+
+    assert.deepEqual(
+      parsed.map(({ title, category }) => [title, category]),
+      [
+        ["One", "Inner"],
+        ["Two", "Outer"],
+      ],
+    );
+  });
+
+  it("returns no sources for an empty body", async () => {
+    assert.deepEqual(
+      await parseOpml('<opml version="2.0"><head/><body/></opml>'),
+      [],
+    );
+  });
+
+  it("rejects documents that aren't OPML", async () => {
+    await assert.rejects(parseOpml("<rss><channel/></rss>"), {
+      message: "Not an OPML document",
+    });
+  });
+});
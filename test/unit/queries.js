@@ -0,0 +1,146 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import {
+  buildEpisodeQuery,
+  escapeRegex,
+  findEpisodePage,
+} from "../../lib/queries.js";
+
+/**
+ * Collection returning fixed documents and recording the last query
+ * @param {Array} documents - Documents returned by find
+ * @returns {object} Collection stub
+ */
+function mockCollection(documents) {
+  const collection = {
+    find(query) {
+      collection.query = query;
+      const cursor = {
+        sort(sort) {
+          collection.sort = sort;
+          return cursor;
+        },
+        limit(limit) {
+          collection.limit = limit;
+          return cursor;
+        },
+        toArray: async () => documents.slice(0, collection.limit),
+      };
+      return cursor;
+    },
+  };
+
+  return collection;
+}
+
+const episodes = [
+  { id: "c", published: new Date("2024-03-03T00:00:00Z") },
+  { id: "b", published: new Date("2024-03-02T00:00:00Z") },
+  { id: "a", published: new Date("2024-03-01T00:00:00Z") },
+];
+
+const decode = (cursor) =>
+  JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+
+describe("queries", () => {
+  it("escapes regular expression characters", () => {
+    const input = "a.b*c+(d)?[e]{f}^$|\\";
+    const pattern = new RegExp(`^${escapeRegex(input)}$`);
+
+    assert.ok(pattern.test(input));
+    assert.ok(!pattern.test("axb*c+(d)?[e]{f}^$|\\"));
+  });
+
+  it("escapes the source filter", async () => {
+    const query = await buildEpisodeQuery({}, { source: "Show (live)" });
+    const { "origin.title": title } = query.$and[1];
+
+    assert.deepEqual(title, { $regex: "Show \\(live\\)", $options: "i" });
+  });
+
+  it("leaves hidden episodes out unless asked", async () => {
+    assert.deepEqual(await buildEpisodeQuery({}, {}), {
+      $and: [{ hidden: { $ne: true } }],
+    });
+    assert.deepEqual(
+      await buildEpisodeQuery({}, {}, { includeHidden: true }),
+      {},
+    );
+  });
+
+  it("rejects invalid params with a 400 error", async () => {
+    for (const params of [
+      { since: "yesterday" },
+      { minDuration: "-1" },
+      { status: "deleted" },
+    ]) {
+      await assert.rejects(buildEpisodeQuery({}, params), { status: 400 });
+    }
+  });
+
+  it("returns the first page with a cursor to the next one", async () => {
+    const collection = mockCollection(episodes);
+    const page = await findEpisodePage(collection, {}, { limit: 2 });
+
+    assert.deepEqual(
+      page.episodes.map((episode) => episode.id),
+      ["c", "b"],
+    );
+    assert.equal(page.prev, null);
+    assert.deepEqual(decode(page.next), ["2024-03-02T00:00:00.000Z", "b"]);
+    assert.deepEqual(collection.sort, { published: -1, id: -1 });
+  });
+
+  it("pages before a cursor on published date and id", async () => {
+    const collection = mockCollection(episodes.slice(2));
+    const before = Buffer.from(
+      JSON.stringify(["2024-03-02T00:00:00.000Z", "b"]),
+    ).toString("base64url");
+    const page = await findEpisodePage(collection, {}, { limit: 2, before });
+    const published = new Date("2024-03-02T00:00:00Z");
+
+    assert.deepEqual(collection.query, {
+      $and: [
+        {},
+        {
+          $or: [
+            { published: { $lt: published } },
+            { published, id: { $lt: "b" } },
+          ],
+        },
+      ],
+    });
+    assert.equal(page.next, null);
+    assert.deepEqual(decode(page.prev), ["2024-03-01T00:00:00.000Z", "a"]);
+  });
+
+  it("pages after a cursor in ascending order, returned newest first", async () => {
+    const collection = mockCollection([episodes[1], episodes[0]]);
+    const after = Buffer.from(
+      JSON.stringify(["2024-03-01T00:00:00.000Z", "a"]),
+    ).toString("base64url");
+    const page = await findEpisodePage(collection, {}, { limit: 2, after });
+
+    assert.deepEqual(collection.sort, { published: 1, id: 1 });
+    assert.deepEqual(
+      page.episodes.map((episode) => episode.id),
+      ["c", "b"],
+    );
+    assert.equal(page.prev, null);
+    assert.deepEqual(decode(page.next), ["2024-03-02T00:00:00.000Z", "b"]);
+  });
+
+  it("rejects malformed cursors with a 400 error", async () => {
+    for (const before of [
+      "not-a-cursor",
+      Buffer.from(JSON.stringify(["never", "a"])).toString("base64url"),
+      Buffer.from(JSON.stringify(["2024-03-01", 1])).toString("base64url"),
+    ]) {
+      await assert.rejects(
+        findEpisodePage(mockCollection(episodes), {}, { limit: 2, before }),
+        { status: 400, message: "Invalid cursor" },
+      );
+    }
+  });
+});
@@ -0,0 +1,96 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { pruneEpisodes, retentionCutoff } from "../../lib/retention.js";
+
+/**
+ * Database recording the queries run against podrollEpisodes
+ * @param {object} [results] - Stubbed results
+ * @param {Array} [results.groups] - Aggregation result for maxPerPodcast
+ * @param {Array} [results.excess] - Find result for maxEpisodes
+ * @returns {object} Database stub and recorded calls
+ */
+function mockDb({ groups = [], excess = [] } = {}) {
+  const calls = { deleteMany: [], aggregate: [], find: [] };
+  const collection = {
+    async deleteMany(query) {
+      calls.deleteMany.push(query);
+      return { deletedCount: query.id?.$in.length ?? 2 };
+    },
+    aggregate(pipeline) {
+      calls.aggregate.push(pipeline);
+      return { toArray: async () => groups };
+    },
+    find(query) {
+      calls.find.push(query);
+      const cursor = {
+        sort: () => cursor,
+        skip: () => cursor,
+        toArray: async () => excess,
+      };
+      return cursor;
+    },
+  };
+
+  return { db: { collection: () => collection }, calls };
+}
+
+const prunable = {
+  listened: { $ne: true },
+  starred: { $ne: true },
+  recommended: { $ne: true },
+  hidden: { $ne: true },
+};
+
+describe("retention", () => {
+  it("has no age cutoff unless maxAgeDays is set", () => {
+    assert.equal(retentionCutoff(), null);
+    assert.equal(retentionCutoff({ maxAgeDays: 0 }), null);
+  });
+
+  it("computes the age cutoff", () => {
+    const cutoff = retentionCutoff({ maxAgeDays: 2 });
+    const expected = Date.now() - 2 * 86_400_000;
+
+    assert.ok(Math.abs(cutoff.getTime() - expected) < 1000);
+  });
+
+  it("prunes nothing without limits", async () => {
+    const { db, calls } = mockDb();
+    const pruned = await pruneEpisodes(db, {});
+
+    assert.deepEqual(pruned, { byAge: 0, byPodcast: 0, byTotal: 0, total: 0 });
+    assert.equal(calls.deleteMany.length, 0);
+  });
+
+  it("keeps episodes with activity or hidden when pruning by age", async () => {
+    const { db, calls } = mockDb();
+    const pruned = await pruneEpisodes(db, { maxAgeDays: 30 });
+    const [{ published, ...query }] = calls.deleteMany;
+
+    assert.equal(pruned.byAge, 2);
+    assert.deepEqual(query, prunable);
+    assert.ok(published.$lt instanceof Date);
+  });
+
+  it("prunes episodes beyond the per-podcast and total limits", async () => {
+    const { db, calls } = mockDb({
+      groups: [{ _id: "feed/a", ids: ["a3", "a4"] }],
+      excess: [{ id: "b9" }],
+    });
+    const pruned = await pruneEpisodes(db, {
+      maxPerPodcast: 2,
+      maxEpisodes: 10,
+    });
+    const [pipeline] = calls.aggregate;
+
+    assert.deepEqual(pipeline[0], { $match: prunable });
+    assert.deepEqual(pipeline[3], { $match: { "ids.2": { $exists: true } } });
+    assert.deepEqual(calls.find[0], prunable);
+    assert.deepEqual(calls.deleteMany, [
+      { id: { $in: ["a3", "a4"] } },
+      { id: { $in: ["b9"] } },
+    ]);
+    assert.deepEqual(pruned, { byAge: 0, byPodcast: 2, byTotal: 1, total: 3 });
+  });
+});
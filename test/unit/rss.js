@@ -0,0 +1,94 @@
+import { strict as assert } from "node:assert";
+import { describe, it } from "node:test";
+
+import { generateRss } from "../../lib/rss.js";
+
+const channel = {
+  title: "Podroll",
+  link: "https://example.com/",
+  selfUrl: "https://example.com/podrollapi/podroll.rss",
+};
+
+const episode = {
+  id: "abc",
+  title: "Episode <1> & more",
+  url: "https://show.example/1",
+  published: new Date("2024-03-01T12:00:00Z"),
+  content: "<p>Notes</p>",
+  enclosure: { url: "https://show.example/1.mp3?a=1&b=2", length: 123 },
+  duration: 3600,
+  explicit: false,
+  transcripts: [{ url: "https://show.example/1.vtt", type: "text/vtt" }],
+  origin: { title: "Show", feedUrl: "https://show.example/feed" },
+};
+
+describe("rss", () => {
+  it("generates an RSS 2.0 channel with a self link", () => {
+    const rss = generateRss([], {
+      ...channel,
+      lastBuildDate: new Date("2024-03-02T00:00:00Z"),
+    });
+
+    assert.match(rss, /<rss version="2\.0" xmlns:atom=/);
+    assert.match(rss, /<description>Podroll<\/description>/);
+    assert.match(
+      rss,
+      /<atom:link href="https:\/\/example\.com\/podrollapi\/podroll\.rss" rel="self" type="application\/rss\+xml"\/>/,
+    );
+    assert.match(
+      rss,
+      /<lastBuildDate>Sat, 02 Mar 2024 00:00:00 GMT<\/lastBuildDate>/,
+    );
+    assert.doesNotMatch(rss, /<item>/);
+  });
+
+  it("adds WebSub hub links", () => {
+    const rss = generateRss([], {
+      ...channel,
+      hubs: ["https://hub.example/", "https://hub2.example/"],
+    });
+
+    assert.match(
+      rss,
+      /<atom:link href="https:\/\/hub\.example\/" rel="hub"\/>/,
+    );
+    assert.match(
+      rss,
+      /<atom:link href="https:\/\/hub2\.example\/" rel="hub"\/>/,
+    );
+  });
+
+  it("keeps episode text in CDATA and escapes attributes", () => {
+    const rss = generateRss([episode], channel);
+
+    assert.match(rss, /<title><!\[CDATA\[Episode <1> & more\]\]><\/title>/);
+    assert.match(rss, /<guid isPermaLink="false">abc<\/guid>/);
+    assert.match(rss, /<pubDate>Fri, 01 Mar 2024 12:00:00 GMT<\/pubDate>/);
+    assert.match(
+      rss,
+      /<description><!\[CDATA\[<p>Notes<\/p>\]\]><\/description>/,
+    );
+    assert.match(
+      rss,
+      /<enclosure url="https:\/\/show\.example\/1\.mp3\?a=1&amp;b=2" length="123" type="audio\/mpeg"\/>/,
+    );
+    assert.match(rss, /<itunes:duration>3600<\/itunes:duration>/);
+    assert.match(rss, /<itunes:explicit>false<\/itunes:explicit>/);
+    assert.match(
+      rss,
+      /<podcast:transcript url="https:\/\/show\.example\/1\.vtt" type="text\/vtt"\/>/,
+    );
+    assert.match(
+      rss,
+      /<source url="https:\/\/show\.example\/feed">Show<\/source>/,
+    );
+  });
+
+  it("leaves out optional elements an episode doesn't have", () => {
+    const rss = generateRss([{ id: "x", title: "Bare" }], channel);
+    const item = rss.match(/<item>[\s\S]*<\/item>/)[0];
+
+    assert.match(item, /<guid isPermaLink="false">x<\/guid>/);
+    assert.doesNotMatch(item, /<enclosure|<link>|<pubDate>|<source/);
+  });
+});